@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Exports calendarItems and the related collections (members, settings, users)
+// to a timestamped JSON file under backups/.
+//
+//   --emulator            back up the local emulators instead of the live project
+//   --collections=a,b     only these collections
+//   --out=path.json       write to this file instead
+import { connectScript, flagValue } from './connect.js';
+import { BACKUP_COLLECTIONS, exportCollections, writeBackupFile } from './backups.js';
+
+const SCRIPT_USER = { uid: 'backup-script', displayName: 'Backup script', email: null };
+
+async function backup() {
+  await connectScript(SCRIPT_USER);
+
+  const names = flagValue('collections')?.split(',').filter(Boolean) || BACKUP_COLLECTIONS;
+  const data = await exportCollections(names);
+  const file = writeBackupFile(data, flagValue('out'));
+
+  Object.entries(data.collections).forEach(([name, docs]) => console.log(`${name}: ${docs.length} documents`));
+  console.log(`Backup written to ${file}`);
+}
+
+async function main() {
+  try {
+    await backup();
+    console.log('Done.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during backup:', err);
+    process.exit(1);
+  }
+}
+
+main();
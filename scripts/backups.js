@@ -0,0 +1,69 @@
+// Backup files shared by backup.js, restore.js and seed.js --wipe.
+//
+// A backup is JSON: { version, createdAt, emulator, collections: { name: [{ id, data }] } }.
+// Firestore Timestamps are written as { "__timestamp__": "<ISO string>" }.
+import fs from 'node:fs';
+import path from 'node:path';
+import { db } from '../src/firebase.js';
+import { collection, getDocs, Timestamp } from 'firebase/firestore';
+import { hasFlag } from './connect.js';
+
+// Collections a full backup covers
+export const BACKUP_COLLECTIONS = ['calendarItems', 'members', 'settings', 'templates', 'users'];
+
+export const BACKUP_DIR = 'backups';
+
+const encodeValue = (value) => {
+  if (value instanceof Timestamp) return { __timestamp__: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+  }
+  return value;
+};
+
+export const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.__timestamp__ === 'string') return Timestamp.fromDate(new Date(value.__timestamp__));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+  }
+  return value;
+};
+
+// Reads the given collections into a backup object
+export async function exportCollections(names = BACKUP_COLLECTIONS) {
+  const collections = {};
+  for (const name of names) {
+    const snapshot = await getDocs(collection(db, name));
+    collections[name] = snapshot.docs.map(d => ({ id: d.id, data: encodeValue(d.data()) }));
+  }
+  return {
+    version: 1,
+    createdAt: new Date().toISOString(),
+    emulator: hasFlag('emulator'),
+    collections
+  };
+}
+
+// Writes a backup to `file`, or to backups/calendar-<timestamp>.json
+export function writeBackupFile(backup, file) {
+  const target = file || path.join(BACKUP_DIR, `calendar-${backup.createdAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(backup, null, 2));
+  return target;
+}
+
+export function readBackupFile(file) {
+  const backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (backup.version !== 1 || !backup.collections) {
+    throw new Error(`${file} is not a calendar backup.`);
+  }
+  return backup;
+}
+
+// Exports `names` and writes them to a new timestamped file; returns the path
+export async function backupCollections(names = BACKUP_COLLECTIONS) {
+  const backup = await exportCollections(names);
+  return writeBackupFile(backup);
+}
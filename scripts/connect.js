@@ -0,0 +1,44 @@
+// Connection setup shared by the CLI scripts.
+//
+//   --emulator   use the local emulators (firebase emulators:start) as the
+//                emulator "owner", so firestore.rules do not apply
+//   otherwise    sign in as SCRIPT_EMAIL / SCRIPT_PASSWORD when set; the account
+//                needs an editor or admin role for writes to pass the rules
+import { connectToEmulators, auth } from '../src/firebase.js';
+import { signInWithEmailAndPassword } from 'firebase/auth';
+import readline from 'node:readline/promises';
+
+export const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+// --name=value -> "value"; null when the flag is not given
+export const flagValue = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+// Connects and returns the identity to stamp into createdBy/updatedBy:
+// the signed-in account, or `scriptUser` on the emulator / without credentials
+export async function connectScript(scriptUser) {
+  if (hasFlag('emulator')) {
+    connectToEmulators({ bypassRules: true });
+    console.log('Using the local Firebase emulators.');
+    return scriptUser;
+  }
+
+  const { SCRIPT_EMAIL, SCRIPT_PASSWORD } = process.env;
+  if (!SCRIPT_EMAIL || !SCRIPT_PASSWORD) {
+    console.log('SCRIPT_EMAIL / SCRIPT_PASSWORD not set; firestore.rules will reject writes to the live project.');
+    return scriptUser;
+  }
+  const { user } = await signInWithEmailAndPassword(auth, SCRIPT_EMAIL, SCRIPT_PASSWORD);
+  console.log(`Signed in as ${user.email}.`);
+  return user;
+}
+
+// Asks the user to type `answer` back; false on anything else
+export async function confirm(question, answer) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const reply = await rl.question(`${question} Type "${answer}" to continue: `);
+  rl.close();
+  return reply.trim() === answer;
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Serves calendarItems as a subscribable iCalendar feed. The same filter the
+// app's Export dialog produces is passed in the query string, e.g.
+//
+//   http://localhost:8787/calendar.ics?token=<token>&types=home
+//   http://localhost:8787/calendar.ics?token=<token>&assignees=hannah
+//   http://localhost:8787/calendar.ics?token=<token>&types=promo&from=2026-05-01&to=2026-05-31
+//
+// Firestore rules only allow signed-in reads, so the feed signs in as a
+// dedicated (viewer) account. Since that bypasses the app's sign-in, every
+// request must carry the shared token, and the feed won't start without one.
+// Environment:
+//   ICS_FEED_EMAIL / ICS_FEED_PASSWORD  account used to read the calendar
+//   ICS_FEED_TOKEN                      required; requests must pass ?token=
+//   PORT                                defaults to 8787
+import http from 'node:http';
+import { db, auth } from '../src/firebase.js';
+import { buildICalendar } from '../src/ics.js';
+import { filterItems, queryToFilter } from '../src/itemFilters.js';
+import { legacyGameFields } from '../src/gameFields.js';
+import { expandRecurrences } from '../src/recurrence.js';
+import { DEFAULT_ITEM_TYPES, REGISTRY_DOCS } from '../src/registry.js';
+import { collection, getDocs, getDoc, doc } from 'firebase/firestore';
+import { signInWithEmailAndPassword } from 'firebase/auth';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FEED_TOKEN = process.env.ICS_FEED_TOKEN;
+
+// Calendar apps poll feeds frequently; reuse a snapshot for this long
+const CACHE_MS = 60 * 1000;
+let cache = null;
+
+async function loadCalendar() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache;
+
+  const [itemsSnap, membersSnap, typesSnap] = await Promise.all([
+    getDocs(collection(db, 'calendarItems')),
+    getDocs(collection(db, 'members')),
+    getDoc(doc(db, 'settings', REGISTRY_DOCS.itemTypes))
+  ]);
+
+  cache = {
+    loadedAt: Date.now(),
+    items: expandRecurrences(itemsSnap.docs.map(d => {
+      const data = d.data();
+      return { ...data, ...(legacyGameFields(data) || {}), id: d.id };
+    })),
+    members: membersSnap.docs.map(d => ({ ...d.data(), id: d.id })),
+    itemTypes: typesSnap.exists() ? typesSnap.data().entries : DEFAULT_ITEM_TYPES
+  };
+  return cache;
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname !== '/calendar.ics') {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+  if (!FEED_TOKEN || url.searchParams.get('token') !== FEED_TOKEN) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Forbidden');
+    return;
+  }
+
+  const { items, members, itemTypes } = await loadCalendar();
+  const filter = queryToFilter(url.search);
+  const body = buildICalendar(filterItems(items, filter, members), {
+    calendarName: url.searchParams.get('name') || 'Angels Calendar',
+    members,
+    itemTypes
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="calendar.ics"',
+    'Cache-Control': `max-age=${CACHE_MS / 1000}`
+  });
+  res.end(body);
+}
+
+async function main() {
+  try {
+    const { ICS_FEED_EMAIL, ICS_FEED_PASSWORD } = process.env;
+    if (!ICS_FEED_EMAIL || !ICS_FEED_PASSWORD) {
+      throw new Error('Set ICS_FEED_EMAIL and ICS_FEED_PASSWORD for the feed account.');
+    }
+    if (!FEED_TOKEN) {
+      throw new Error('Set ICS_FEED_TOKEN; subscribers pass it as ?token= on the feed URL.');
+    }
+    await signInWithEmailAndPassword(auth, ICS_FEED_EMAIL, ICS_FEED_PASSWORD);
+
+    http.createServer((req, res) => {
+      handleRequest(req, res).catch(err => {
+        console.error('Error serving feed:', err);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Error building calendar');
+      });
+    }).listen(PORT, () => {
+      console.log(`iCalendar feed at http://localhost:${PORT}/calendar.ics`);
+    });
+  } catch (err) {
+    console.error('Error starting feed:', err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// One-time migration: replace bare first names in calendarItems.assignees with
+// member doc IDs, creating the default roster in `members` if it is missing.
+// Creating members needs an admin account (SCRIPT_EMAIL / SCRIPT_PASSWORD).
+//
+//   --emulator   migrate the local emulators instead of the live project
+//   --dry-run    report what would change without writing
+import { db } from '../src/firebase.js';
+import { DEFAULT_MEMBERS } from '../src/members.js';
+import { auditFields } from '../src/auth.js';
+import { collection, getDocs, writeBatch, doc } from 'firebase/firestore';
+import { connectScript, hasFlag } from './connect.js';
+
+const dryRun = hasFlag('dry-run');
+
+// Identity stamped into createdBy/updatedBy for documents touched by this script
+const SCRIPT_USER = { uid: 'migrate-assignees', displayName: 'Assignee migration', email: null };
+
+async function ensureDefaultMembers(user) {
+  const snapshot = await getDocs(collection(db, 'members'));
+  const members = snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+  const missing = DEFAULT_MEMBERS.filter(dm =>
+    !members.some(m => m.id === dm.id || (m.name || '').toLowerCase() === dm.name.toLowerCase()));
+
+  if (missing.length > 0 && !dryRun) {
+    const batch = writeBatch(db);
+    missing.forEach(({ id, ...member }) => {
+      batch.set(doc(db, 'members', id), { ...member, uid: null, ...auditFields(user, true) });
+    });
+    await batch.commit();
+  }
+  if (missing.length > 0) {
+    console.log(`${dryRun ? 'Would create' : 'Created'} ${missing.length} default members.`);
+  }
+
+  return [...members, ...missing];
+}
+
+async function migrate() {
+  const user = await connectScript(SCRIPT_USER);
+  const members = await ensureDefaultMembers(user);
+  const idForName = (name) =>
+    members.find(m => m.id === name)?.id
+    || members.find(m => (m.name || '').toLowerCase() === String(name).toLowerCase())?.id;
+
+  const snapshot = await getDocs(collection(db, 'calendarItems'));
+  const updates = [];
+  const unknown = new Set();
+  snapshot.docs.forEach(d => {
+    const assignees = d.data().assignees || [];
+    const mapped = assignees.map(a => {
+      const id = idForName(a);
+      if (!id) unknown.add(a);
+      return id || a;
+    });
+    if (mapped.some((id, idx) => id !== assignees[idx])) {
+      updates.push({ id: d.id, assignees: [...new Set(mapped)] });
+    }
+  });
+
+  if (unknown.size > 0) {
+    console.log(`No member found for: ${[...unknown].join(', ')} (left unchanged)`);
+  }
+  if (updates.length === 0) {
+    console.log('No assignees to migrate.');
+    return;
+  }
+  if (dryRun) {
+    console.log(`Dry run: ${updates.length} items would be updated.`);
+    return;
+  }
+
+  const chunkSize = 300;
+  for (let i = 0; i < updates.length; i += chunkSize) {
+    const batch = writeBatch(db);
+    updates.slice(i, i + chunkSize).forEach(u => {
+      batch.update(doc(db, 'calendarItems', u.id), { assignees: u.assignees, ...auditFields(user) });
+    });
+    await batch.commit();
+    console.log(`Migrated ${Math.min(i + chunkSize, updates.length)}/${updates.length}`);
+  }
+}
+
+async function main() {
+  try {
+    await migrate();
+    console.log('Done.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during migration:', err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// One-time migration: move game time/venue out of the notes string and into
+// structured fields (opponent, homeAway, venue, startTime, timeZone, gameNumber),
+// and move Pacific-entered first pitches onto the venue's local clock.
+//
+//   --emulator   migrate the local emulators instead of the live project
+//   --dry-run    print the changes without writing
+import { db } from '../src/firebase.js';
+import { legacyGameFields, gameStartDate } from '../src/gameFields.js';
+import { auditFields } from '../src/auth.js';
+import { collection, getDocs, writeBatch, doc } from 'firebase/firestore';
+import { connectScript, hasFlag } from './connect.js';
+
+const dryRun = hasFlag('dry-run');
+
+// Identity stamped into updatedBy for documents touched by this script
+const SCRIPT_USER = { uid: 'migrate-game-fields', displayName: 'Game fields migration', email: null };
+
+// Number doubleheaders: games on the same date against the same opponent,
+// ordered by first pitch
+function assignGameNumbers(updates) {
+  const groups = {};
+  updates.forEach(u => {
+    if (!u.fields.opponent) return;
+    const key = `${u.date}|${u.fields.opponent}`;
+    (groups[key] = groups[key] || []).push(u);
+  });
+  Object.values(groups).forEach(group => {
+    if (group.length < 2) return;
+    group
+      .sort((a, b) => (gameStartDate({ date: a.date, ...a.fields }) || Infinity) - (gameStartDate({ date: b.date, ...b.fields }) || Infinity))
+      .forEach((u, idx) => { u.fields.gameNumber = idx + 1; });
+  });
+}
+
+async function migrate() {
+  const user = await connectScript(SCRIPT_USER);
+  const snapshot = await getDocs(collection(db, 'calendarItems'));
+  const updates = [];
+  snapshot.docs.forEach(d => {
+    const data = d.data();
+    // Same rule as the read path: items that already have a timeZone are left alone
+    const fields = legacyGameFields(data);
+    if (fields) updates.push({ id: d.id, date: data.date, title: data.title, fields });
+  });
+
+  if (updates.length === 0) {
+    console.log('All game items already have structured fields.');
+    return;
+  }
+
+  assignGameNumbers(updates);
+
+  if (dryRun) {
+    updates.forEach(u => console.log(`${u.date} ${u.title} ->`, u.fields));
+    console.log(`Dry run: ${updates.length} game items would be migrated.`);
+    return;
+  }
+
+  const chunkSize = 300;
+  for (let i = 0; i < updates.length; i += chunkSize) {
+    const batch = writeBatch(db);
+    updates.slice(i, i + chunkSize).forEach(u => {
+      batch.update(doc(db, 'calendarItems', u.id), { ...u.fields, ...auditFields(user) });
+    });
+    await batch.commit();
+    console.log(`Migrated ${Math.min(i + chunkSize, updates.length)}/${updates.length}`);
+  }
+}
+
+async function main() {
+  try {
+    await migrate();
+    console.log('Done.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during migration:', err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Restores documents from a backup written by backup.js, keeping their original
+// IDs. Restored calendarItems are re-stamped with updatedBy/updatedAt, and
+// ones no longer in the project with createdBy/createdAt as well. members,
+// settings, templates and users can only be restored with an admin account.
+//
+//   node scripts/restore.js backups/calendar-<timestamp>.json [options]
+//
+//   --emulator            restore into the local emulators
+//   --dry-run             print what would be restored without writing
+//   --collections=a,b     only these collections (default: all in the file, or
+//                         just calendarItems when a date/type filter is given)
+//   --from=YYYY-MM-DD     only calendarItems on or after this date
+//   --to=YYYY-MM-DD       only calendarItems on or before this date
+//   --type=home,away      only calendarItems of these types
+//   --prune               also delete current calendarItems in the same
+//                         date/type range that are not in the backup
+import { db } from '../src/firebase.js';
+import { auditFields } from '../src/auth.js';
+import { collection, getDoc, getDocs, writeBatch, doc } from 'firebase/firestore';
+import { connectScript, hasFlag, flagValue, confirm } from './connect.js';
+import { readBackupFile, decodeValue } from './backups.js';
+
+const dryRun = hasFlag('dry-run');
+const prune = hasFlag('prune');
+const from = flagValue('from');
+const to = flagValue('to');
+const types = flagValue('type')?.split(',').filter(Boolean) || null;
+const filtered = Boolean(from || to || types);
+
+const SCRIPT_USER = { uid: 'restore-script', displayName: 'Restore script', email: null };
+
+// Firestore allows 500 writes per batch; stay well under it
+const CHUNK_SIZE = 300;
+
+// Collections firestore.rules only lets admins write
+const ADMIN_COLLECTIONS = ['members', 'settings', 'templates', 'users'];
+
+const inRange = (item) =>
+  (!from || item.date >= from) && (!to || item.date <= to) && (!types || types.includes(item.type));
+
+async function commitInChunks(writes, verb) {
+  for (let i = 0; i < writes.length; i += CHUNK_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + CHUNK_SIZE).forEach(write => write(batch));
+    await batch.commit();
+    console.log(`${verb} ${Math.min(i + CHUNK_SIZE, writes.length)}/${writes.length}`);
+  }
+}
+
+// Fails before writing anything when the signed-in account cannot write
+// admin-only collections; the emulator bypasses the rules
+async function requireAdmin(user, names) {
+  const needed = names.filter(name => ADMIN_COLLECTIONS.includes(name));
+  if (needed.length === 0 || hasFlag('emulator')) return;
+  const profile = await getDoc(doc(db, 'users', user.uid));
+  if (profile.data()?.role !== 'admin') {
+    throw new Error(`Restoring ${needed.join(', ')} needs an admin account; sign in as one with SCRIPT_EMAIL / SCRIPT_PASSWORD or pass --collections.`);
+  }
+}
+
+async function restore() {
+  const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+  if (!file) throw new Error('Usage: node scripts/restore.js <backup.json> [options]');
+
+  const backup = readBackupFile(file);
+  const user = await connectScript(SCRIPT_USER);
+
+  const names = flagValue('collections')?.split(',').filter(Boolean)
+    || (filtered ? ['calendarItems'] : Object.keys(backup.collections));
+  await requireAdmin(user, names);
+
+  // Current calendarItems: restoring one that was deleted is a create, which
+  // the rules only allow with createdBy set to the signed-in account
+  const current = names.includes('calendarItems') ? (await getDocs(collection(db, 'calendarItems'))).docs : [];
+  const existing = new Set(current.map(d => d.id));
+
+  const writes = [];
+  names.forEach(name => {
+    const docs = (backup.collections[name] || [])
+      .map(({ id, data }) => ({ id, data: decodeValue(data) }))
+      .filter(({ data }) => name !== 'calendarItems' || inRange(data));
+    console.log(`${name}: ${docs.length} documents to restore`);
+
+    docs.forEach(({ id, data }) => {
+      const restored = name === 'calendarItems' ? { ...data, ...auditFields(user, !existing.has(id)) } : data;
+      writes.push(batch => batch.set(doc(db, name, id), restored));
+    });
+  });
+
+  const deletes = [];
+  if (prune && names.includes('calendarItems')) {
+    const backedUp = new Set((backup.collections.calendarItems || []).map(d => d.id));
+    current
+      .filter(d => inRange(d.data()) && !backedUp.has(d.id))
+      .forEach(d => deletes.push(batch => batch.delete(doc(db, 'calendarItems', d.id))));
+    console.log(`calendarItems: ${deletes.length} current items not in the backup would be deleted`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: nothing written.');
+    return;
+  }
+  if (writes.length + deletes.length === 0) {
+    console.log('Nothing to restore.');
+    return;
+  }
+  if (!hasFlag('emulator') && !await confirm(`Overwrite ${writes.length} and delete ${deletes.length} documents in the live project?`, 'restore')) {
+    throw new Error('Restore cancelled.');
+  }
+
+  await commitInChunks(writes, 'Restored');
+  if (deletes.length) await commitInChunks(deletes, 'Deleted');
+}
+
+async function main() {
+  try {
+    await restore();
+    console.log('Done.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during restore:', err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,51 +1,114 @@
 #!/usr/bin/env node
+// Seeds calendarItems from src/initialData.js. Items are upserted by natural key
+// (date + type + title + game number), so re-running updates the schedule in
+// place and never touches assignees, status or notes.
+//
+//   --emulator          seed the local emulators instead of the live project
+//   --dry-run           print the plan without writing
+//   --diff              list every add/change, and stored items missing from the seed data
+//   --only-type=a,b     limit seeding (and --wipe) to these item types
+//   --wipe              delete existing items first; asks for confirmation and
+//                       writes a backup (see backup.js) before deleting
 import { db } from '../src/firebase.js';
 import { initialCalendarItems } from '../src/initialData.js';
-import { collection, query, where, getDocs, writeBatch, doc } from 'firebase/firestore';
+import { naturalKey, planUpserts, writeUpsertPlan } from '../src/duplicates.js';
+import { collection, getDocs, writeBatch, doc } from 'firebase/firestore';
+import { connectScript, hasFlag, flagValue, confirm } from './connect.js';
+import { backupCollections } from './backups.js';
 
-async function clearAllDocs() {
-  const col = collection(db, 'calendarItems');
-  const snapshot = await getDocs(col);
-  if (snapshot.empty) {
-    console.log('No existing docs to delete.');
+const dryRun = hasFlag('dry-run') || hasFlag('diff');
+const showDiff = hasFlag('diff');
+const wipe = hasFlag('wipe');
+const onlyTypes = flagValue('only-type')?.split(',').filter(Boolean) || null;
+
+// Identity stamped into createdBy/updatedBy for documents written by this script
+const SCRIPT_USER = { uid: 'seed-script', displayName: 'Seed script', email: null };
+
+// Firestore allows 500 writes per batch; stay well under it
+const CHUNK_SIZE = 300;
+
+const inScope = (item) => !onlyTypes || onlyTypes.includes(item.type);
+
+const label = (item) => `${item.date} ${item.type} "${item.title}"${item.gameNumber > 1 ? ` (game ${item.gameNumber})` : ''}`;
+
+async function wipeItems(items) {
+  if (items.length === 0) {
+    console.log('No existing items to delete.');
     return;
   }
+  const scope = onlyTypes ? ` of type ${onlyTypes.join(', ')}` : '';
+  if (dryRun) {
+    console.log(`Would delete ${items.length} existing items${scope}.`);
+    return;
+  }
+  if (!await confirm(`This deletes ${items.length} calendar items${scope}, including all editorial work on them.`, 'wipe')) {
+    throw new Error('Wipe cancelled.');
+  }
+  console.log(`Backed up calendarItems to ${await backupCollections(['calendarItems'])}`);
 
-  console.log(`Deleting ${snapshot.docs.length} existing calendar items...`);
-  const batch = writeBatch(db);
-  snapshot.docs.forEach(d => batch.delete(doc(db, 'calendarItems', d.id)));
-  await batch.commit();
-  console.log('Deleted existing calendar items.');
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    const batch = writeBatch(db);
+    items.slice(i, i + CHUNK_SIZE).forEach(item => batch.delete(doc(db, 'calendarItems', item.id)));
+    await batch.commit();
+    console.log(`Deleted ${Math.min(i + CHUNK_SIZE, items.length)}/${items.length}`);
+  }
 }
 
-async function seedAllItems() {
-  const items = initialCalendarItems;
+function printDiff(plan, existing, seedItems) {
+  const byId = new Map(existing.map(item => [item.id, item]));
+  plan.creates.forEach(({ item }) => console.log(`+ ${label(item)}`));
+  plan.updates.forEach(({ id, changes }) => {
+    const stored = byId.get(id);
+    console.log(`~ ${label(stored)}`);
+    Object.entries(changes).forEach(([field, value]) => {
+      console.log(`    ${field}: ${JSON.stringify(stored[field] ?? null)} -> ${JSON.stringify(value)}`);
+    });
+  });
+
+  // Stored items of the seeded types that the seed data no longer has. These
+  // are never deleted without --wipe.
+  const seedKeys = new Set(seedItems.map(naturalKey));
+  const seededTypes = new Set(seedItems.map(item => item.type));
+  existing
+    .filter(item => seededTypes.has(item.type) && !seedKeys.has(naturalKey(item)))
+    .forEach(item => console.log(`- ${label(item)}`));
+}
+
+async function seed() {
+  const user = await connectScript(SCRIPT_USER);
+
+  const items = initialCalendarItems.filter(inScope);
   if (items.length === 0) {
     console.log('No items found in initial data to seed.');
     return;
   }
 
-  console.log(`Seeding ${items.length} total items...`);
-  const col = collection(db, 'calendarItems');
-  const chunkSize = 300; // safe batch size
-  for (let i = 0; i < items.length; i += chunkSize) {
-    const chunk = items.slice(i, i + chunkSize);
-    const batch = writeBatch(db);
-    chunk.forEach(item => {
-      const { id, ...data } = item;
-      const docRef = doc(col);
-      batch.set(docRef, data);
-    });
-    await batch.commit();
-    console.log(`Uploaded ${Math.min(i + chunkSize, items.length)}/${items.length}`);
+  const snapshot = await getDocs(collection(db, 'calendarItems'));
+  let existing = snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+
+  if (wipe) {
+    await wipeItems(existing.filter(inScope));
+    existing = existing.filter(item => !inScope(item));
+  }
+
+  const plan = planUpserts(items, existing);
+  console.log(`Seed data has ${items.length} items: ${plan.creates.length} new, ${plan.updates.length} to update, ${plan.unchanged.length} unchanged.`);
+  if (showDiff) printDiff(plan, existing, items);
+  if (dryRun) {
+    console.log('Dry run: nothing written.');
+    return;
   }
+
+  await writeUpsertPlan(plan, user, {
+    chunkSize: CHUNK_SIZE,
+    onProgress: (done, total) => console.log(`Uploaded ${done}/${total}`)
+  });
   console.log('Seeding complete.');
 }
 
 async function main() {
   try {
-    await clearAllDocs();
-    await seedAllItems();
+    await seed();
     console.log('Done.');
     process.exit(0);
   } catch (err) {
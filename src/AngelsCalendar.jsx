@@ -1,21 +1,109 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar, Plus, User, Edit2, Trash2, X, ChevronLeft, ChevronRight, Zap } from 'lucide-react';
-import { db } from './firebase';
-import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot, writeBatch } from 'firebase/firestore';
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, Plus, User, Edit2, Trash2, X, ChevronLeft, ChevronRight, Zap, LogIn, LogOut, Mail, Settings, Download, Search, Filter, Paperclip, CalendarClock, ListChecks } from 'lucide-react';
+import { db, auth } from './firebase';
+import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot, writeBatch, setDoc, serverTimestamp } from 'firebase/firestore';
+import { onAuthStateChanged } from 'firebase/auth';
+import { signInWithGoogle, sendEmailSignInLink, completeEmailSignIn, signOutUser, userDisplayName, auditFields } from './auth';
 import { initialCalendarItems } from './initialData';
+import { isGameItem, isPostponed, legacyGameFields, buildGameTitle, gameSubtitle, gameTimeLabel, gameState, gameStateLabel, compareItemsForDay, DEFAULT_TIME_ZONE, GAME_STATES, DEFAULT_GAME_STATE } from './gameFields';
+import { PACIFIC_TIME_ZONE, TIME_ZONE_OPTIONS, venueTimeZone } from './timeZones';
+import { DEFAULT_ROLE, canCreate, canEdit, canDelete, canReschedule, editableFields, canManageSettings } from './permissions';
+import { resolveAssignee, sortMembers } from './members';
+import SettingsModal from './SettingsModal';
+import ExportModal from './ExportModal';
+import RescheduleModal from './RescheduleModal';
+import TemplateModal from './TemplateModal';
+import RecurrenceScopeModal from './RecurrenceScopeModal';
+import { icsToItems } from './ics';
+import { searchItems, emptyFilter, matchesFilter, activeFilterCount, filterToQuery, queryToFilter } from './itemFilters';
+import FilterPanel from './FilterPanel';
+import { boardLanes, SWIMLANE_MODES } from './board';
+import { toDateStr, parseDateStr, addDays, daysBetween, weekRange } from './dates';
+import { agendaDays, lastItemDate, AGENDA_PAGE_DAYS } from './agenda';
+import { stretchForDate, densityByDate, DENSITY_TYPES, scheduleRanges, rangesForDate, rangeProgress, attachedItems, RANGE_KIND_LABELS } from './season';
+import { applyPending, duplicateFields } from './reschedule';
+import { isMultiDay, coversDate, itemEndDate, spanDays, movedDates, spanLanes } from './spans';
+import { canHaveChildren, canHaveParent, childrenOf, completionRollup, topLevelItems, parentCandidates } from './linkedItems';
+import { TEMPLATES_COLLECTION } from './templates';
+import { expandRecurrences, isOccurrence, anchorRecurrence, recurrenceKind, recurrenceOptions, ruleForKind, describeRecurrence, planOccurrenceEdit, planOccurrenceDelete, RECURRENCE_SCOPES } from './recurrence';
+import { memberForUser, groupMyWork, isOverdue, MY_WORK_GROUPS } from './myWork';
+import { planUpserts, writeUpsertPlan, upsertWriteCount, UPSERT_STATUS_LABELS } from './duplicates';
+import { CSV_FIELDS, GAME_IMPORT_TYPE, MAX_BATCH_WRITES, parseCsv, guessColumnMapping, csvRowsToItems } from './csvImport';
+import { DEFAULT_ITEM_TYPES, DEFAULT_DAY_THEMES, REGISTRY_DOCS, sortByOrder, entryStyle, entryLabel } from './registry';
 
 const SportsEditorialCalendar = () => {
-  const [currentMonth, setCurrentMonth] = useState(1);
-  const [currentYear, setCurrentYear] = useState(2026);
+  const [currentMonth, setCurrentMonth] = useState(() => new Date().getMonth());
+  const [currentYear, setCurrentYear] = useState(() => new Date().getFullYear());
   const [editingItem, setEditingItem] = useState(null);
   const [viewMode, setViewMode] = useState('month');
   const [addMode, setAddMode] = useState('single');
   const [showImportModal, setShowImportModal] = useState(false);
   const [csvInput, setCsvInput] = useState('');
+  // Column choices the user changed from the guessed header mapping
+  const [csvMapping, setCsvMapping] = useState({});
+  const [csvDefaultType, setCsvDefaultType] = useState(GAME_IMPORT_TYPE);
+  // Parsed .ics file awaiting confirmation: { fileName, items, skipped }
+  const [icsPreview, setIcsPreview] = useState(null);
   const [calendarItems, setCalendarItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
 
+  // Signed-in Firebase user; the calendar is only loaded once someone signs in
+  const [user, setUser] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [signInEmail, setSignInEmail] = useState('');
+  const [signInMessage, setSignInMessage] = useState('');
+  const [role, setRole] = useState(DEFAULT_ROLE);
+
+  // Team roster from the members collection
+  const [members, setMembers] = useState([]);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+
+  // View filter, kept in the URL query string so a filtered view can be shared
+  const [filter, setFilter] = useState(() => queryToFilter(window.location.search));
+  const [showFilters, setShowFilters] = useState(() => activeFilterCount(queryToFilter(window.location.search)) > 0);
+
+  // Board view: swimlane grouping, date range and the column being dragged over
+  const [boardLaneMode, setBoardLaneMode] = useState('none');
+  const [boardRange, setBoardRange] = useState(() => weekRange(new Date()));
+  const [boardDropTarget, setBoardDropTarget] = useState(null);
+
+  // Month/week drag-and-drop: optimistic moves and copies awaiting their
+  // writes, the day being dragged over, and the undo/retry toast
+  const [pendingMoves, setPendingMoves] = useState([]);
+  const [calendarDropTarget, setCalendarDropTarget] = useState(null);
+  const [toast, setToast] = useState(null);
+
+  // Game being moved with the reschedule action
+  const [reschedulingGame, setReschedulingGame] = useState(null);
+
+  // Content templates, and the { item, series } a template is being applied to
+  const [templates, setTemplates] = useState([]);
+  const [applyingTemplate, setApplyingTemplate] = useState(null);
+
+  // Recurring items: the occurrence being edited or deleted while its scope is chosen
+  const [scopePrompt, setScopePrompt] = useState(null);
+
+  // Agenda view: the dates rendered so far, extended as the list is scrolled
+  const [agendaRange, setAgendaRange] = useState(() => {
+    const today = toDateStr(new Date());
+    return { from: today, to: addDays(today, AGENDA_PAGE_DAYS - 1) };
+  });
+  const agendaEndRef = useRef(null);
+
+  // Header search across all loaded items
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchOpen, setSearchOpen] = useState(false);
+
+  // Item type / day theme registry from the settings collection
+  const [itemTypes, setItemTypes] = useState(DEFAULT_ITEM_TYPES);
+  const [dayThemes, setDayThemes] = useState(DEFAULT_DAY_THEMES);
+
+  // Game times render in Pacific by default, or in each venue's local time
+  const [timeDisplay, setTimeDisplay] = useState('pacific');
+  const displayZone = timeDisplay === 'pacific' ? PACIFIC_TIME_ZONE : null;
+
   // State for day expansion modal
   const [selectedDay, setSelectedDay] = useState(null);
   const [showDayModal, setShowDayModal] = useState(false);
@@ -31,19 +119,163 @@ const SportsEditorialCalendar = () => {
     return new Date(now.setDate(diff));
   });
   
+  // Mirror the filter into the query string, leaving any other parameters alone
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(emptyFilter()).forEach(key => params.delete(key));
+    new URLSearchParams(filterToQuery(filter)).forEach((value, key) => params.set(key, value));
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, [filter]);
+
+  // Firebase auth listener (also finishes an email-link sign-in on page load)
+  useEffect(() => {
+    completeEmailSignIn().catch((error) => {
+      console.error('Error completing email sign-in:', error);
+      setSignInMessage('That sign-in link is invalid or has expired. Please request a new one.');
+    });
+
+    const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+      setUser(firebaseUser);
+      setAuthReady(true);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  // Role listener - first sign-in registers the user as a viewer until an admin promotes them
+  useEffect(() => {
+    if (!user) {
+      setRole(DEFAULT_ROLE);
+      return undefined;
+    }
+
+    const userRef = doc(db, 'users', user.uid);
+    const unsubscribe = onSnapshot(userRef, (snapshot) => {
+      if (snapshot.exists()) {
+        setRole(snapshot.data().role || DEFAULT_ROLE);
+        return;
+      }
+      setRole(DEFAULT_ROLE);
+      setDoc(userRef, {
+        role: DEFAULT_ROLE,
+        name: userDisplayName(user),
+        email: user.email || null,
+        createdAt: serverTimestamp()
+      }).catch(error => console.error('Error registering user:', error));
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Members listener
+  useEffect(() => {
+    if (!user) {
+      setMembers([]);
+      return undefined;
+    }
+
+    const unsubscribe = onSnapshot(collection(db, 'members'), (snapshot) => {
+      setMembers(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Templates listener
+  useEffect(() => {
+    if (!user) {
+      setTemplates([]);
+      return undefined;
+    }
+
+    const unsubscribe = onSnapshot(collection(db, TEMPLATES_COLLECTION), (snapshot) => {
+      setTemplates(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Registry listeners - fall back to the defaults until an admin saves their own
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const unsubscribeTypes = onSnapshot(doc(db, 'settings', REGISTRY_DOCS.itemTypes), (snapshot) => {
+      setItemTypes(snapshot.exists() ? snapshot.data().entries : DEFAULT_ITEM_TYPES);
+    });
+    const unsubscribeThemes = onSnapshot(doc(db, 'settings', REGISTRY_DOCS.dayThemes), (snapshot) => {
+      setDayThemes(snapshot.exists() ? snapshot.data().entries : DEFAULT_DAY_THEMES);
+    });
+
+    return () => {
+      unsubscribeTypes();
+      unsubscribeThemes();
+    };
+  }, [user]);
+
   // Firebase real-time listener
   useEffect(() => {
+    if (!user) {
+      setCalendarItems([]);
+      setLoading(true);
+      return undefined;
+    }
+
     const unsubscribe = onSnapshot(collection(db, 'calendarItems'), (snapshot) => {
       const items = snapshot.docs.map(d => {
         const data = d.data();
-        return { ...data, id: d.id };
+        // Docs not yet run through scripts/migrate-game-fields.js still render with structured fields
+        return { ...data, ...(legacyGameFields(data) || {}), id: d.id };
       });
       setCalendarItems(items);
       setLoading(false);
     });
 
     return () => unsubscribe();
-  }, []);
+  }, [user]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = setTimeout(() => setToast(null), 8000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // Stored items with each recurring item replaced by its occurrences. Views
+  // read these; writes and imports work on the stored calendarItems.
+  const expandedItems = expandRecurrences(calendarItems);
+
+  // Load the next page of agenda dates when the end of the list scrolls into view
+  const seasonEnd = lastItemDate(expandedItems);
+  useEffect(() => {
+    if (viewMode !== 'agenda' || !agendaEndRef.current) return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setAgendaRange(range => ({ ...range, to: addDays(range.to, AGENDA_PAGE_DAYS) }));
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(agendaEndRef.current);
+    return () => observer.disconnect();
+  }, [viewMode, agendaRange.to, seasonEnd]);
+
+  const handleGoogleSignIn = async () => {
+    try {
+      await signInWithGoogle();
+    } catch (error) {
+      console.error('Error signing in with Google:', error);
+      setSignInMessage('Google sign-in failed. Please try again.');
+    }
+  };
+
+  const handleEmailSignIn = async () => {
+    if (!signInEmail) return;
+    try {
+      await sendEmailSignInLink(signInEmail.trim());
+      setSignInMessage(`Sign-in link sent to ${signInEmail.trim()}. Check your inbox.`);
+    } catch (error) {
+      console.error('Error sending sign-in link:', error);
+      setSignInMessage('Could not send the sign-in link. Please check the address and try again.');
+    }
+  };
   
   // Seed database with initial data (chunked upload)
   const seedDatabase = async () => {
@@ -51,27 +283,11 @@ const SportsEditorialCalendar = () => {
     setSyncing(true);
     
     try {
-      const totalItems = initialCalendarItems.length;
-      let uploaded = 0;
-      
-      // Upload in chunks of 50
-      const chunkSize = 50;
-      for (let i = 0; i < totalItems; i += chunkSize) {
-        const chunk = initialCalendarItems.slice(i, i + chunkSize);
-        const batch = writeBatch(db);
-        
-        chunk.forEach((item) => {
-          const docRef = doc(collection(db, 'calendarItems'));
-          const { id, ...itemData } = item;
-          batch.set(docRef, itemData);
-        });
-        
-        await batch.commit();
-        uploaded += chunk.length;
-        console.log(`Uploaded ${uploaded}/${totalItems} items`);
-      }
+      // Upsert by natural key so loading twice never doubles the schedule
+      const plan = planUpserts(initialCalendarItems, calendarItems);
+      await writeUpsertPlan(plan, user, { chunkSize: 50 });
       
-      alert(`Successfully loaded ${totalItems} calendar items!`);
+      alert(`Schedule loaded: ${describeUpserts(plan)}.`);
     } catch (error) {
       console.error('Error seeding database:', error);
       alert('Error loading schedule. Please try again.');
@@ -96,44 +312,356 @@ const SportsEditorialCalendar = () => {
     'July', 'August', 'September', 'October', 'November', 'December'
   ];
 
-  // Updated type options organized: Home, Away, then ROYGBIV order
-  const typeOptions = [
-    { value: 'home', label: 'HOME', color: '#ba0021' },
-    { value: 'away', label: 'AWAY', color: '#666666' },
-    { value: 'outofoffice', label: 'OUT OF OFFICE', color: '#f97316' },
-    { value: 'content', label: 'CONTENT', color: '#eab308' },
-    { value: 'event', label: 'EVENT', color: '#003263' },
-    { value: 'promo', label: 'PROMO', color: '#6b21a8' },
-    { value: 'sponsored', label: 'SPONSORED', color: '#0891b2' },
-    { value: 'birthday', label: 'BIRTHDAY', color: '#ec4899' }
-  ];
-
-  // Day theme options with emojis
-  const themeOptions = [
-    { value: 'birthday', label: 'Birthday', emoji: '🎂' },
-    { value: 'cityconnect', label: 'City Connect', emoji: '🏝️' },
-    { value: 'holiday', label: 'Holiday', emoji: '🎉' },
-    { value: 'special', label: 'Special Event', emoji: '⭐' }
-  ];
+  // Type and theme options come from the registry (see src/registry.js)
+  const typeOptions = sortByOrder(itemTypes);
+  const themeOptions = sortByOrder(dayThemes);
 
   const statusOptions = ['planned', 'in-progress', 'review', 'completed'];
 
+  const statusClasses = (status) =>
+    status === 'completed' ? 'bg-green-900/50 text-green-300' :
+    status === 'in-progress' ? 'bg-blue-900/50 text-blue-300' :
+    status === 'review' ? 'bg-yellow-900/50 text-yellow-300' :
+    'bg-zinc-800 text-zinc-400';
+
+  // Postponed games stay on their date, struck through, until they are rescheduled
+  const gameStateClass = (item) => (isPostponed(item) ? 'line-through opacity-60' : '');
+
   const getDaysInMonth = (month, year) => new Date(year, month + 1, 0).getDate();
   const getFirstDayOfMonth = (month, year) => new Date(year, month, 1).getDay();
 
+  // Filtered items covering a YYYY-MM-DD date, games first in first-pitch order.
+  // Every view and the day modal read items through here.
+  const getItemsForDateStr = (dateStr) =>
+    applyPending(expandedItems, pendingMoves)
+      .filter(item => coversDate(item, dateStr) && matchesFilter(item, filter, members))
+      .sort(compareItemsForDay);
+
   const getItemsForDate = (day) => {
     const dateStr = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    return calendarItems.filter(item => item.date === dateStr);
+    return getItemsForDateStr(dateStr);
+  };
+
+  // Series, homestands and road trips, derived from every game so the view
+  // filter never hides them
+  const seasonRanges = scheduleRanges(calendarItems);
+
+  // "vs HOU: Game 2 of 3 - HOMESTAND (HOU, CHC): Day 2 of 7"
+  const rangeSummary = (dateStr) =>
+    rangesForDate(seasonRanges, dateStr).map(range => `${range.label}: ${rangeProgress(range, dateStr)}`).join(' - ');
+
+  // The series a game belongs to, for applying a template to all of it
+  const seriesForGame = (item) =>
+    (isGameItem(item) && seasonRanges.find(range => range.kind === 'series' && range.games.some(game => game.id === item.id))) || null;
+
+  // Items attached to a range covering dateStr but dated on another day
+  const attachedElsewhere = (dateStr) =>
+    rangesForDate(seasonRanges, dateStr)
+      .flatMap(range => attachedItems(expandedItems, range.id))
+      .filter(item => item.date !== dateStr && matchesFilter(item, filter, members));
+
+  // "Fri, Apr 17 - Sat, Apr 18"
+  const spanLabel = (item) => `${shortDate(item.date)} - ${shortDate(itemEndDate(item))}`;
+
+  // Lanes for the multi-day bars of a from..to grid (see spanLanes)
+  const visibleSpanLanes = (from, to) =>
+    spanLanes(applyPending(expandedItems, pendingMoves)
+      .filter(item => isMultiDay(item) && item.date <= to && itemEndDate(item) >= from && matchesFilter(item, filter, members)));
+
+  // Multi-day items as bars across month and week cells. A piece that carries
+  // on into the next day runs out over the cell padding and grid gap so the
+  // pieces join up; bars break, and are labeled again, at the edges of a row.
+  const renderSpanBars = (dateStr, items, lanes, { rowStart, rowEnd, padding, gap }) => {
+    const bars = items.filter(item => lanes.has(item.id));
+    if (bars.length === 0) return null;
+    const laneCount = Math.max(...bars.map(item => lanes.get(item.id))) + 1;
+
+    return (
+      <div className="flex flex-col gap-1 mb-1">
+        {Array.from({ length: laneCount }, (_, lane) => {
+          const item = bars.find(bar => lanes.get(bar.id) === lane);
+          if (!item) return <div key={`lane-${lane}`} className="h-5"></div>;
+          const continuesBefore = item.date !== dateStr && !rowStart;
+          const continuesAfter = itemEndDate(item) !== dateStr && !rowEnd;
+          return (
+            <div
+              key={item.id}
+              className={`h-5 px-1.5 flex items-center text-[11px] font-semibold uppercase whitespace-nowrap overflow-hidden cursor-pointer hover:opacity-90
+                ${item.date === dateStr ? 'rounded-l' : ''} ${itemEndDate(item) === dateStr ? 'rounded-r' : ''} ${item.pending ? 'opacity-60' : ''}`}
+              style={{
+                ...getItemColors(item.type),
+                fontFamily: "'Barlow Condensed', sans-serif",
+                marginLeft: continuesBefore ? `-${padding}` : 0,
+                marginRight: continuesAfter ? `calc(-${padding} - ${gap})` : 0
+              }}
+              {...itemDragProps(item)}
+              onClick={(e) => {
+                if (!canEdit(role, item)) return;
+                e.stopPropagation();
+                handleEdit(item);
+              }}
+              title={`${item.title} (${spanLabel(item)})`}
+            >
+              <span className="truncate">{continuesBefore ? '\u00a0' : item.title}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Date range of a multi-day item, shown next to its title in the lists
+  // With dateStr (the agenda lists the item on each day it covers), the chip
+  // says which day of the span that is
+  const renderSpanChip = (item, dateStr) => {
+    if (!isMultiDay(item)) return null;
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-[10px] px-1.5 py-0.5 rounded bg-zinc-700 text-zinc-200 font-semibold uppercase whitespace-nowrap"
+        style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        title={dateStr ? spanLabel(item) : undefined}
+      >
+        {dateStr ? `Day ${daysBetween(item.date, dateStr) + 1} of ${spanDays(item)}` : `${spanLabel(item)} (${spanDays(item)} days)`}
+      </span>
+    );
+  };
+
+  // Homestand/road-trip strip at the top of a month or week cell, labeled where
+  // a range starts and again at the start of each calendar row
+  const renderRangeStrip = (dateStr, rowStart) => {
+    const covering = rangesForDate(seasonRanges, dateStr);
+    const stretch = covering.find(range => range.kind !== 'series');
+    if (!stretch) return null;
+    const labeled = covering.filter(range => range.from === dateStr || (rowStart && range.kind === 'series'));
+    const attached = labeled.reduce((sum, range) => sum + attachedItems(expandedItems, range.id).length, 0);
+
+    return (
+      <div
+        className="mb-1 h-4 px-1.5 rounded flex items-center gap-1 text-[10px] font-semibold uppercase text-white whitespace-nowrap overflow-hidden opacity-80"
+        style={{ backgroundColor: getItemColors(stretch.homeAway).backgroundColor, fontFamily: "'Barlow Condensed', sans-serif" }}
+        title={rangeSummary(dateStr)}
+      >
+        <span className="truncate">
+          {labeled.map(range => (range.kind === 'series' ? range.label : RANGE_KIND_LABELS[range.kind])).join(' - ')}
+        </span>
+        {attached > 0 && (
+          <span className="flex items-center gap-0.5 shrink-0"><Paperclip size={9} />{attached}</span>
+        )}
+      </div>
+    );
+  };
+
+  // Label of the series/homestand/road trip an item is attached to
+  const renderSeriesChip = (item) => {
+    const range = item.seriesId && seasonRanges.find(r => r.id === item.seriesId);
+    if (!range) return null;
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-[10px] px-1.5 py-0.5 rounded bg-zinc-700 text-zinc-200 font-semibold uppercase whitespace-nowrap"
+        style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        title={`Attached to ${range.label}`}
+      >
+        <Paperclip size={9} />
+        {range.label}
+      </span>
+    );
+  };
+
+  // Children of a parent item, including pending drag-and-drop moves
+  const linkedChildren = (parent) => childrenOf(applyPending(expandedItems, pendingMoves), parent.id);
+
+  // "2/4" completion pill for a game, event or promo with linked items
+  const renderRollup = (item) => {
+    if (!canHaveChildren(item)) return null;
+    const { done, total } = completionRollup(linkedChildren(item));
+    if (total === 0) return null;
+    return (
+      <span
+        className={`inline-flex items-center px-1.5 rounded text-[10px] font-bold normal-case ${
+          done === total ? 'bg-green-900/70 text-green-300' : 'bg-black/40 text-zinc-200'
+        }`}
+        title={`${done} of ${total} linked item${total === 1 ? '' : 's'} completed`}
+      >
+        {done}/{total}
+      </span>
+    );
+  };
+
+  // Title of the item a child is linked to, when shown away from it
+  const renderParentChip = (item) => {
+    const parent = item.parentId && expandedItems.find(i => i.id === item.parentId);
+    if (!parent) return null;
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-[10px] px-1.5 py-0.5 rounded bg-zinc-700 text-zinc-200 font-semibold uppercase whitespace-nowrap"
+        style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        title={`Linked to ${parent.title} on ${shortDate(parent.date)}`}
+      >
+        &#8627; {parent.title}
+      </span>
+    );
+  };
+
+  // "Every home Saturday" on occurrences of a recurring item
+  const renderRecurrenceChip = (item) => {
+    if (!isOccurrence(item) && !item.recurrenceOf) return null;
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-[10px] px-1.5 py-0.5 rounded bg-zinc-700 text-zinc-200 font-semibold uppercase whitespace-nowrap"
+        style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        title={isOccurrence(item) ? describeRecurrence(item.recurrence) : 'Edited separately from its series'}
+      >
+        &#8635; {isOccurrence(item) ? describeRecurrence(item.recurrence) : 'EDITED OCCURRENCE'}
+      </span>
+    );
+  };
+
+  // Linked items nested under their parent in the day view and day modal
+  const renderLinkedChildren = (parent) => {
+    if (!canHaveChildren(parent)) return null;
+    const children = linkedChildren(parent);
+    if (children.length === 0 && !canAddItems) return null;
+    const { done, total } = completionRollup(children);
+
+    return (
+      <div className="mt-3 border-l-2 border-zinc-700 pl-3 space-y-1.5">
+        <div className="flex items-center gap-2 text-xs font-semibold text-zinc-500" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          LINKED ITEMS{total > 0 && ` (${done}/${total} DONE)`}
+          {canAddItems && (
+            <button
+              onClick={() => handleAddItemForDate(parent.date, parent.id)}
+              className="flex items-center gap-0.5 text-zinc-400 hover:text-white transition-colors"
+              title="Add an item linked to this one"
+            >
+              <Plus size={12} />
+              ADD
+            </button>
+          )}
+        </div>
+        {total > 0 && (
+          <div className="h-1 bg-zinc-700 rounded-full overflow-hidden">
+            <div className="h-full bg-green-500" style={{ width: `${(done / total) * 100}%` }}></div>
+          </div>
+        )}
+        {children.map(child => (
+          <div key={child.id} className="flex items-center gap-2 text-sm">
+            <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0" style={getItemColors(child.type)}>
+              {entryLabel(itemTypes, child.type)}
+            </span>
+            <button
+              onClick={() => { setShowDayModal(false); handleEdit(child); }}
+              disabled={!canEdit(role, child)}
+              className="truncate flex-1 text-left text-zinc-300 hover:text-white disabled:hover:text-zinc-300 transition-colors"
+            >
+              {child.title}
+            </button>
+            {child.date !== parent.date && <span className="text-xs text-zinc-500 shrink-0">{shortDate(child.date)}</span>}
+            <span className={`text-[10px] px-1.5 py-0.5 rounded font-semibold uppercase shrink-0 ${statusClasses(child.status)}`}>{child.status}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Games originally scheduled on dateStr that have since been moved
+  const renderRescheduledPanel = (dateStr) => {
+    const moved = calendarItems.filter(item => item.original?.date === dateStr && item.date !== dateStr);
+    if (moved.length === 0) return null;
+    return (
+      <div className="bg-zinc-800/60 rounded-lg p-3 space-y-1.5">
+        <p className="text-xs font-semibold text-zinc-500" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>RESCHEDULED FROM THIS DAY</p>
+        {moved.map(item => (
+          <button
+            key={item.id}
+            onClick={() => jumpToItem(item)}
+            className="w-full flex items-center gap-2 text-left text-sm hover:text-white text-zinc-300 transition-colors"
+          >
+            <span className="truncate flex-1 line-through">{item.title}</span>
+            <span className="text-xs text-zinc-500 shrink-0">Now {shortDate(item.date)}</span>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Planning items attached to the day's series, homestand or road trip
+  const renderAttachedPanel = (dateStr) => {
+    const attached = attachedElsewhere(dateStr);
+    if (attached.length === 0) return null;
+    return (
+      <div className="bg-zinc-800/60 rounded-lg p-3 space-y-1.5">
+        <p className="text-xs font-semibold text-zinc-500" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>ATTACHED TO THIS STRETCH</p>
+        {attached.map(item => (
+          <button
+            key={item.id}
+            onClick={() => jumpToItem(item)}
+            className="w-full flex items-center gap-2 text-left text-sm hover:text-white text-zinc-300 transition-colors"
+          >
+            <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0" style={getItemColors(item.type)}>
+              {entryLabel(itemTypes, item.type)}
+            </span>
+            <span className="truncate flex-1">{item.title}</span>
+            <span className="text-xs text-zinc-500 shrink-0">{shortDate(item.date)}</span>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Fill in the structured game fields (and a default title) for home/away items
+  const withGameFields = (item) => {
+    if (!isGameItem(item)) return item;
+    // The home/away types fix the side; a plain game keeps its own
+    const side = ['home', 'away'].includes(item.type) ? item.type : item.homeAway;
+    const homeAway = side === 'away' ? 'away' : 'home';
+    const opponent = (item.opponent || '').trim();
+    return {
+      ...item,
+      homeAway,
+      opponent,
+      venue: (item.venue || '').trim(),
+      startTime: item.startTime || null,
+      timeZone: item.timeZone || venueTimeZone(item.venue) || DEFAULT_TIME_ZONE,
+      gameNumber: Number(item.gameNumber) || 1,
+      gameState: item.gameState || DEFAULT_GAME_STATE,
+      title: item.title || (opponent ? buildGameTitle(homeAway, opponent) : '')
+    };
+  };
+
+  // Recurrence rules follow the start date's weekday; games never repeat
+  const withRecurrence = (item) => {
+    if (!item.recurrence) return item;
+    return { ...item, recurrence: isGameItem(item) ? null : anchorRecurrence(item.recurrence, item.date) };
+  };
+
+  // Multi-day items end after they start; games are single-day
+  const withEndDate = (item) => {
+    if (!item.endDate) return item;
+    return { ...item, endDate: !isGameItem(item) && item.endDate > item.date ? item.endDate : null };
   };
 
   const handleAddItem = async () => {
-    if (newItem.date && newItem.title) {
+    // Games, events and promos are parents themselves and never link upward
+    const item = withEndDate(withRecurrence(withGameFields(newItem.parentId && !canHaveParent(newItem) ? { ...newItem, parentId: null } : newItem)));
+    if (item.date && item.title) {
       try {
         if (editingItem) {
-          await updateDoc(doc(db, 'calendarItems', editingItem.id), newItem);
+          const { id, ...itemData } = item;
+          const fields = editableFields(role, editingItem);
+          if (!fields) return;
+          // Contributors editing a protected item may only send the working fields
+          const changes = fields === 'all'
+            ? itemData
+            : Object.fromEntries(fields.map(field => [field, itemData[field] ?? editingItem[field] ?? null]));
+          // An occurrence of a recurring item is saved once its scope is chosen
+          if (isOccurrence(editingItem)) {
+            setScopePrompt({ action: 'edit', item: editingItem, changes });
+            return;
+          }
+          await updateDoc(doc(db, 'calendarItems', editingItem.id), { ...changes, ...auditFields(user) });
           setEditingItem(null);
         } else {
-          await addDoc(collection(db, 'calendarItems'), { ...newItem, id: Date.now() });
+          await addDoc(collection(db, 'calendarItems'), { ...item, id: Date.now(), ...auditFields(user, true) });
         }
         setNewItem({ date: '', type: 'content', title: '', assignees: [], status: 'planned', notes: '', links: '', themes: [] });
         setShowImportModal(false);
@@ -144,81 +672,377 @@ const SportsEditorialCalendar = () => {
     }
   };
 
+  // Pending drag-and-drop changes have no document to edit yet
   const handleEdit = (item) => {
+    if (item.pending || !canEdit(role, item)) return;
     setEditingItem(item);
     setNewItem(item);
     setShowImportModal(true);
   };
 
-  const handleDelete = async (id) => {
+  // One-click status change from My Work; status is a working field every editing role may change
+  const handleStatusChange = async (item, status) => {
+    if (!canEdit(role, item) || item.status === status) return;
+    // Tracking one occurrence splits it off its series, which needs full edit rights
+    if (isOccurrence(item) && !canReschedule(role, item)) {
+      alert('This item repeats. Open it to change the status of every occurrence.');
+      return;
+    }
+    try {
+      if (isOccurrence(item)) {
+        await writeOccurrencePlan(planOccurrenceEdit({
+          master: calendarItems.find(i => i.id === item.masterId),
+          occurrence: item,
+          scope: 'this',
+          changes: { status },
+          items: calendarItems,
+          newId: doc(collection(db, 'calendarItems')).id
+        }));
+        return;
+      }
+      await updateDoc(doc(db, 'calendarItems', item.id), { status, ...auditFields(user) });
+    } catch (error) {
+      console.error('Error updating status:', error);
+      alert('Error updating status. Please try again.');
+    }
+  };
+
+  // Writes a plan from planOccurrenceEdit / planOccurrenceDelete in one batch
+  const writeOccurrencePlan = async ({ updates = [], creates = [], deletes = [] }) => {
+    const batch = writeBatch(db);
+    updates.forEach(({ id, data }) => batch.update(doc(db, 'calendarItems', id), { ...data, ...auditFields(user) }));
+    creates.forEach(({ id, data }) => batch.set(doc(db, 'calendarItems', id), { ...data, id: Date.now(), ...auditFields(user, true) }));
+    deletes.forEach(id => batch.delete(doc(db, 'calendarItems', id)));
+    await batch.commit();
+  };
+
+  // Scopes a role may pick for an occurrence: splitting one off creates an item
+  const occurrenceScopes = ({ action, item }) =>
+    action === 'edit' && !canReschedule(role, item)
+      ? RECURRENCE_SCOPES.filter(scope => scope.value === 'all')
+      : RECURRENCE_SCOPES;
+
+  const handleOccurrenceScope = async (scope) => {
+    const { action, item, changes } = scopePrompt;
+    const master = calendarItems.find(i => i.id === item.masterId);
+    if (!master) return;
+    try {
+      if (action === 'delete') {
+        await writeOccurrencePlan(planOccurrenceDelete({ master, occurrence: item, scope, items: calendarItems }));
+      } else {
+        const newId = doc(collection(db, 'calendarItems')).id;
+        await writeOccurrencePlan(planOccurrenceEdit({ master, occurrence: item, scope, changes, items: calendarItems, newId }));
+        setEditingItem(null);
+        setNewItem({ date: '', type: 'content', title: '', assignees: [], status: 'planned', notes: '', links: '', themes: [] });
+        setShowImportModal(false);
+      }
+      setScopePrompt(null);
+    } catch (error) {
+      console.error('Error saving recurring item:', error);
+      alert('Error saving recurring item. Please try again.');
+    }
+  };
+
+  const shortDate = (dateStr) =>
+    parseDateStr(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  // Writes [{ item, date }] date changes in one batch. The items show on their
+  // new days straight away and snap back if the write fails.
+  const writeMoves = async (moves) => {
+    const stamp = Date.now();
+    const pending = moves.map(({ item, date }) => ({ key: `move-${item.id}-${stamp}`, id: item.id, ...movedDates(item, date) }));
+    setPendingMoves(prev => [...prev, ...pending]);
+    try {
+      const batch = writeBatch(db);
+      moves.forEach(({ item, date }) => batch.update(doc(db, 'calendarItems', item.id), { ...movedDates(item, date), ...auditFields(user) }));
+      await batch.commit();
+    } finally {
+      setPendingMoves(prev => prev.filter(p => !pending.includes(p)));
+    }
+  };
+
+  // Drag-and-drop reschedule; linked children keep their offset from the item
+  const moveItemTo = async (item, date) => {
+    if (item.date === date || !canReschedule(role, item)) return;
+    const shift = daysBetween(item.date, date);
+    const moves = [item, ...childrenOf(calendarItems, item.id).filter(child => canReschedule(role, child))]
+      .map(moved => ({ item: moved, date: addDays(moved.date, shift) }));
+    const linked = moves.length > 1 ? ` with ${moves.length - 1} linked item${moves.length === 2 ? '' : 's'}` : '';
+    try {
+      await writeMoves(moves);
+      setToast({ message: `Moved "${item.title}"${linked} to ${shortDate(date)}`, actionLabel: 'UNDO', onAction: () => undoMoves(moves, item) });
+    } catch (error) {
+      console.error('Error moving item:', error);
+      setToast({
+        message: `Couldn't move "${item.title}" to ${shortDate(date)}. It is still on ${shortDate(item.date)}.`,
+        actionLabel: 'RETRY',
+        onAction: () => moveItemTo(item, date),
+        error: true
+      });
+    }
+  };
+
+  // Puts every item of a drag-and-drop move back on its previous day
+  const undoMoves = async (moves, item) => {
+    try {
+      await writeMoves(moves.map(move => ({ item: { ...move.item, ...movedDates(move.item, move.date) }, date: move.item.date })));
+      setToast({ message: `"${item.title}" is back on ${shortDate(item.date)}` });
+    } catch (error) {
+      console.error('Error undoing move:', error);
+      setToast({
+        message: `Couldn't move "${item.title}" back to ${shortDate(item.date)}.`,
+        actionLabel: 'RETRY',
+        onAction: () => undoMoves(moves, item),
+        error: true
+      });
+    }
+  };
+
+  // Alt-drag: a planned copy of the item on the drop day
+  const duplicateItemTo = async (item, date) => {
+    if (!canCreate(role, item.type)) return;
+    const key = `copy-${item.id}-${Date.now()}`;
+    const fields = duplicateFields(item, date, calendarItems);
+    setPendingMoves(prev => [...prev, { key, item: fields }]);
+    try {
+      const ref = await addDoc(collection(db, 'calendarItems'), { ...fields, id: Date.now(), ...auditFields(user, true) });
+      setToast({
+        message: `Copied "${item.title}" to ${shortDate(date)}`,
+        actionLabel: 'UNDO',
+        onAction: async () => {
+          try {
+            await deleteDoc(ref);
+          } catch (error) {
+            console.error('Error removing copy:', error);
+            setToast({ message: `Couldn't remove the copy of "${item.title}".`, error: true });
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error copying item:', error);
+      setToast({
+        message: `Couldn't copy "${item.title}" to ${shortDate(date)}.`,
+        actionLabel: 'RETRY',
+        onAction: () => duplicateItemTo(item, date),
+        error: true
+      });
+    } finally {
+      setPendingMoves(prev => prev.filter(p => p.key !== key));
+    }
+  };
+
+  // Content that can move with a game when it is rescheduled: its linked
+  // children on any day, then the other items on its day, that this user may move.
+  // Only the children start out checked; same-day items are opt-in.
+  const linkedContent = (game) =>
+    [
+      ...childrenOf(calendarItems, game.id),
+      ...calendarItems.filter(item => item.date === game.date && !isGameItem(item) && item.parentId !== game.id)
+    ].filter(item => canReschedule(role, item));
+
+  // Moves a game and the chosen linked items by the same number of days in one
+  // batch. The game's first slot is kept in `original` the first time it moves.
+  const handleRescheduleGame = async ({ date, startTime, moveIds }) => {
+    const game = reschedulingGame;
+    if (!game || !canReschedule(role, game)) return;
+    const shift = daysBetween(game.date, date);
+    // A makeup game on a day that already has one becomes the doubleheader's second game
+    const gameNumber = calendarItems.filter(item => isGameItem(item) && item.date === date && item.id !== game.id).length + 1;
     try {
-      await deleteDoc(doc(db, 'calendarItems', id));
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'calendarItems', game.id), {
+        date,
+        startTime,
+        gameNumber,
+        gameState: DEFAULT_GAME_STATE,
+        original: game.original || { date: game.date, startTime: game.startTime || null, gameNumber: game.gameNumber || 1 },
+        ...auditFields(user)
+      });
+      moveIds.forEach(id => {
+        const item = calendarItems.find(i => i.id === id);
+        if (item) batch.update(doc(db, 'calendarItems', id), { ...movedDates(item, addDays(item.date, shift)), ...auditFields(user) });
+      });
+      await batch.commit();
+      setReschedulingGame(null);
+      setShowDayModal(false);
+      setToast({ message: `Rescheduled "${game.title}" to ${shortDate(date)}${moveIds.length ? ` with ${moveIds.length} linked item${moveIds.length === 1 ? '' : 's'}` : ''}` });
+    } catch (error) {
+      console.error('Error rescheduling game:', error);
+      alert('Error rescheduling game. Please try again.');
+    }
+  };
+
+  // Creates a template's items for every chosen parent in one batch
+  const handleApplyTemplate = async ({ template, items }) => {
+    const blocked = [...new Set(items.filter(item => !canCreate(role, item.type)).map(item => item.type))];
+    if (blocked.length) {
+      alert(`Your role can't create ${blocked.map(type => entryLabel(itemTypes, type)).join(', ')} items.`);
+      return;
+    }
+    if (items.length > MAX_BATCH_WRITES) {
+      alert(`Apply a template to at most ${MAX_BATCH_WRITES} items at a time.`);
+      return;
+    }
+    try {
+      const batch = writeBatch(db);
+      items.forEach((item, idx) => {
+        batch.set(doc(collection(db, 'calendarItems')), { ...item, id: Date.now() + idx, ...auditFields(user, true) });
+      });
+      await batch.commit();
+      setApplyingTemplate(null);
+      setToast({ message: `Added ${items.length} item${items.length === 1 ? '' : 's'} from "${template.name}"` });
+    } catch (error) {
+      console.error('Error applying template:', error);
+      alert('Error applying template. Please try again.');
+    }
+  };
+
+  const handleCalendarDrop = (e, dateStr) => {
+    e.preventDefault();
+    setCalendarDropTarget(null);
+    const item = calendarItems.find(i => i.id === e.dataTransfer.getData('text/plain'));
+    if (!item) return;
+    if (e.altKey) duplicateItemTo(item, dateStr);
+    else moveItemTo(item, dateStr);
+  };
+
+  // Drag source props for an item chip; Alt-drag copies instead of moving
+  const itemDragProps = (item) => ({
+    draggable: !item.pending && !isOccurrence(item) && (canReschedule(role, item) || canCreate(role, item.type)),
+    onDragStart: (e) => {
+      e.dataTransfer.setData('text/plain', item.id);
+      e.dataTransfer.effectAllowed = 'copyMove';
+    }
+  });
+
+  // Drop target props for a day cell
+  const dayDropProps = (dateStr) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = e.altKey ? 'copy' : 'move';
+      setCalendarDropTarget(dateStr);
+    },
+    onDragLeave: () => setCalendarDropTarget(null),
+    onDrop: (e) => handleCalendarDrop(e, dateStr)
+  });
+
+  const handleDelete = async (item) => {
+    if (item.pending || !canDelete(role, item)) return;
+    if (isOccurrence(item)) {
+      setScopePrompt({ action: 'delete', item });
+      return;
+    }
+    try {
+      // Children stay on the calendar, unlinked from the deleted parent
+      const batch = writeBatch(db);
+      batch.delete(doc(db, 'calendarItems', item.id));
+      childrenOf(calendarItems, item.id).forEach(child => {
+        batch.update(doc(db, 'calendarItems', child.id), { parentId: null, ...auditFields(user) });
+      });
+      await batch.commit();
     } catch (error) {
       console.error('Error deleting item:', error);
       alert('Error deleting item. Please try again.');
     }
   };
 
-  const teamAbbreviations = {
-    'Dodgers': 'LAD', 'Diamondbacks': 'ARI', 'Rangers': 'TEX', 'Giants': 'SF',
-    'Rockies': 'COL', 'Padres': 'SD', 'Cubs': 'CHC', 'Reds': 'CIN',
-    'Royals': 'KC', 'Mariners': 'SEA', 'Athletics': 'OAK', 'Guardians': 'CLE',
-    'Brewers': 'MIL', 'White Sox': 'CWS', 'Astros': 'HOU', 'Braves': 'ATL',
-    'Yankees': 'NYY', 'Blue Jays': 'TOR', 'Mets': 'NYM', 'Tigers': 'DET',
-    'Rays': 'TB', 'Orioles': 'BAL', 'Red Sox': 'BOS', 'Twins': 'MIN',
-    'Cardinals': 'STL', 'Marlins': 'MIA', 'Phillies': 'PHI', 'Pirates': 'PIT',
-    'Nationals': 'WSH', 'Italy': 'ITA'
+  // Dry run of the pasted CSV: header row, column mapping and per-row results
+  const csvPreview = () => {
+    const rows = parseCsv(csvInput);
+    const headers = rows[0] || [];
+    const mapping = { ...guessColumnMapping(headers), ...csvMapping };
+    const results = csvRowsToItems(rows.slice(1), mapping, { defaultType: csvDefaultType, itemTypes, statusOptions });
+    const plan = planUpserts(results.filter(r => r.errors.length === 0).map(r => r.item), calendarItems);
+    return { headers, mapping, results, plan };
+  };
+
+  // "12 new, 3 updates, 40 unchanged, 2 duplicates"
+  const describeUpserts = (plan) => [
+    `${plan.creates.length} new`,
+    `${plan.updates.length} update${plan.updates.length === 1 ? '' : 's'}`,
+    `${plan.unchanged.length} unchanged`,
+    ...(plan.repeated.length ? [`${plan.repeated.length} duplicate${plan.repeated.length === 1 ? '' : 's'} skipped`] : [])
+  ].join(', ');
+
+  const upsertBadgeClasses = {
+    new: 'bg-green-900/60 text-green-300',
+    update: 'bg-yellow-900/60 text-yellow-300',
+    unchanged: 'bg-zinc-700 text-zinc-400',
+    repeated: 'bg-red-900/60 text-red-300'
   };
 
+  const renderUpsertBadge = (status) => (
+    <span className={`ml-auto px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0 ${upsertBadgeClasses[status]}`}>
+      {UPSERT_STATUS_LABELS[status]}
+    </span>
+  );
+
   const handleImportCSV = async () => {
+    const { plan } = csvPreview();
+    const writes = upsertWriteCount(plan);
+    if (writes === 0) return;
+    if (writes > MAX_BATCH_WRITES) {
+      alert(`Import at most ${MAX_BATCH_WRITES} rows at a time.`);
+      return;
+    }
+
+    setSyncing(true);
     try {
-      const lines = csvInput.trim().split('\n');
-      const newItems = [];
-      
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const [date, time, homeAway, opponent, location] = line.split(',').map(s => s.trim());
-        
-        if (date && opponent) {
-          const opponentAbbr = teamAbbreviations[opponent] || opponent;
-          
-          newItems.push({
-            id: Date.now() + i + Math.random(),
-            date: date,
-            type: 'game',
-            title: `${homeAway.toLowerCase() === 'away' ? '@' : 'vs'} ${opponentAbbr}`,
-            assignees: [],
-            status: 'planned',
-            notes: `${time ? time + ' - ' : ''}${location || ''}`,
-            links: ''
-          });
-        }
-      }
-      
-      // Add all items to Firebase
-      for (const item of newItems) {
-        await addDoc(collection(db, 'calendarItems'), item);
-      }
-      
+      // One batch so a failed import leaves nothing half-written
+      await writeUpsertPlan(plan, user, { chunkSize: MAX_BATCH_WRITES });
+
       setCsvInput('');
+      setCsvMapping({});
       setShowImportModal(false);
-      alert(`Successfully imported ${newItems.length} games!`);
+      alert(`Successfully imported: ${describeUpserts(plan)}.`);
     } catch (error) {
       console.error('Error importing CSV:', error);
-      alert('Error importing CSV. Please check the format.');
+      alert('Error importing CSV. Please try again.');
+    }
+    setSyncing(false);
+  };
+
+  const handleIcsFile = async (file) => {
+    if (!file) return;
+    try {
+      const { items, skipped } = icsToItems(await file.text());
+      setIcsPreview({ fileName: file.name, items, skipped, plan: planUpserts(items, calendarItems) });
+    } catch (error) {
+      console.error('Error reading ICS file:', error);
+      alert('Error reading the .ics file. Please check the format.');
     }
   };
 
-  const toggleAssignee = (name) => {
-    const assignees = newItem.assignees.includes(name)
-      ? newItem.assignees.filter(a => a !== name)
-      : [...newItem.assignees, name];
+  const handleImportICS = async () => {
+    if (!icsPreview || upsertWriteCount(icsPreview.plan) === 0) return;
+    setSyncing(true);
+    try {
+      await writeUpsertPlan(icsPreview.plan, user);
+
+      const summary = describeUpserts(icsPreview.plan);
+      setIcsPreview(null);
+      setShowImportModal(false);
+      alert(`Successfully imported: ${summary}.`);
+    } catch (error) {
+      console.error('Error importing ICS:', error);
+      alert('Error importing ICS. Please try again.');
+    }
+    setSyncing(false);
+  };
+
+  // Assignees are stored as member IDs; legacy name entries resolve to the same member
+  const isAssigned = (member) =>
+    newItem.assignees.some(a => resolveAssignee(a, members).id === member.id);
+
+  const toggleAssignee = (member) => {
+    const others = newItem.assignees.filter(a => resolveAssignee(a, members).id !== member.id);
+    const assignees = isAssigned(member) ? others : [...others, member.id];
     setNewItem({ ...newItem, assignees });
   };
 
-  const teamMembers = ['Liam', 'Hannah', 'Ricardo', 'Alex', 'Interns'];
+  // Active members, plus anyone already assigned to the item being edited
+  const assignableMembers = () =>
+    sortMembers(members.filter(m => m.active || isAssigned(m)));
 
   // Handle clicking on a day to show modal with all events
   const handleDayClick = (day, items) => {
@@ -233,8 +1057,36 @@ const SportsEditorialCalendar = () => {
     setShowDayModal(true);
   };
 
-  // Open add item modal with pre-filled date
-  const handleAddItemForDate = (dateStr) => {
+  // Moves the month, week and day views to a YYYY-MM-DD date and opens that day
+  const jumpToDate = (dateStr, items = getItemsForDateStr(dateStr)) => {
+    const date = parseDateStr(dateStr);
+    setCurrentYear(date.getFullYear());
+    setCurrentMonth(date.getMonth());
+    setCurrentDayView(date);
+    setCurrentWeekStart(new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay()));
+    setSelectedDay({ day: date.getDate(), date: dateStr, items });
+    setShowDayModal(true);
+    setSearchOpen(false);
+  };
+
+  // Opens the item's day, clearing the view filter if it would hide the item
+  const jumpToItem = (item) => {
+    if (matchesFilter(item, filter, members)) {
+      jumpToDate(item.date);
+      return;
+    }
+    setFilter(emptyFilter());
+    jumpToDate(item.date, expandedItems.filter(i => coversDate(i, item.date)).sort(compareItemsForDay));
+  };
+
+  // Viewers can browse but not add; contributors are limited to unprotected types
+  const canAddItems = canCreate(role, 'content');
+  const creatableTypeOptions = () => typeOptions.filter(type => canCreate(role, type.value));
+  const fieldsLocked = Boolean(editingItem) && editableFields(role, editingItem) !== 'all';
+
+  // Open add item modal with pre-filled date, optionally linked to a parent item
+  const handleAddItemForDate = (dateStr, parentId = null) => {
+    if (!canAddItems) return;
     setShowDayModal(false);
     setEditingItem(null);
     setNewItem({
@@ -245,11 +1097,28 @@ const SportsEditorialCalendar = () => {
       status: 'planned',
       notes: '',
       links: '',
-      themes: []
+      themes: [],
+      parentId
     });
     setShowImportModal(true);
   };
 
+  // Attaching to a range fills in its first day when the item has no date yet;
+  // a dated item (a trip preview the day before, say) keeps its own date
+  const attachToRange = (rangeId) => {
+    const range = seasonRanges.find(r => r.id === rangeId);
+    setNewItem({ ...newItem, seriesId: rangeId || null, date: newItem.date || range?.from || '' });
+  };
+
+  // Parents the item in the add/edit modal can link to, keeping its current
+  // parent listed even when it is out of range or has been deleted
+  const linkOptions = () => {
+    const options = parentCandidates(expandedItems, newItem.date);
+    if (!newItem.parentId || options.some(parent => parent.id === newItem.parentId)) return options;
+    const current = expandedItems.find(item => item.id === newItem.parentId);
+    return [current || { id: newItem.parentId, missing: true }, ...options];
+  };
+
   // Toggle theme selection
   const toggleTheme = (themeValue) => {
     const themes = newItem.themes?.includes(themeValue)
@@ -258,37 +1127,13 @@ const SportsEditorialCalendar = () => {
     setNewItem({ ...newItem, themes });
   };
 
-  // Get background and text colors for item types
-  const getItemColors = (type) => {
-    const bgColors = {
-      home: 'bg-red-600',
-      away: 'bg-zinc-600',
-      game: 'bg-red-600',
-      outofoffice: 'bg-orange-500',
-      promo: 'bg-purple-800',
-      sponsored: 'bg-cyan-600',
-      content: 'bg-yellow-500',
-      event: 'bg-blue-950',
-      birthday: 'bg-pink-500'
-    };
-    const textColors = {
-      home: 'text-white',
-      away: 'text-white',
-      game: 'text-white',
-      outofoffice: 'text-white',
-      promo: 'text-white',
-      sponsored: 'text-white',
-      content: 'text-zinc-900',
-      event: 'text-white',
-      birthday: 'text-white'
-    };
-    return { bg: bgColors[type] || 'bg-gray-500', text: textColors[type] || 'text-white' };
-  };
+  // Background and text colors for item types, from the registry
+  const getItemColors = (type) => entryStyle(itemTypes, type);
 
   // Get all themes for a specific date
   const getThemesForDate = (day) => {
     const dateStr = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    const dayItems = calendarItems.filter(item => item.date === dateStr);
+    const dayItems = applyPending(expandedItems, pendingMoves).filter(item => coversDate(item, dateStr));
     const allThemes = new Set();
 
     dayItems.forEach(item => {
@@ -314,6 +1159,8 @@ const SportsEditorialCalendar = () => {
   const renderCalendarGrid = () => {
     const daysInMonth = getDaysInMonth(currentMonth, currentYear);
     const firstDay = getFirstDayOfMonth(currentMonth, currentYear);
+    const monthPrefix = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
+    const lanes = visibleSpanLanes(`${monthPrefix}-01`, `${monthPrefix}-${String(daysInMonth).padStart(2, '0')}`);
     const days = [];
 
     for (let i = 0; i < firstDay; i++) {
@@ -323,10 +1170,13 @@ const SportsEditorialCalendar = () => {
     }
 
     for (let day = 1; day <= daysInMonth; day++) {
+      const dateStr = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
       const items = getItemsForDate(day);
+      const singleDayItems = items.filter(item => !isMultiDay(item));
+      const column = (firstDay + day - 1) % 7;
       const dayThemes = getThemesForDate(day);
       const isToday = day === new Date().getDate() && currentMonth === new Date().getMonth() && currentYear === new Date().getFullYear();
-      const hasGame = items.some(item => item.type === 'game' || item.type === 'home' || item.type === 'away');
+      const hasGame = items.some(isGameItem);
 
       days.push(
         <div
@@ -334,8 +1184,10 @@ const SportsEditorialCalendar = () => {
           className={`group min-h-24 rounded-lg p-2 transition-all duration-200 hover:scale-105 cursor-pointer
             ${isToday ? 'ring-2 ring-red-600 bg-gradient-to-br from-red-900/30 to-zinc-900' : 'bg-zinc-900 hover:bg-zinc-800'}
             ${hasGame && !isToday ? 'bg-gradient-to-br from-red-900/20 to-zinc-900' : ''}
-            ${items.length === 0 ? 'hover:ring-1 hover:ring-red-500/50' : ''}`}
+            ${items.length === 0 ? 'hover:ring-1 hover:ring-red-500/50' : ''}
+            ${calendarDropTarget === dateStr ? 'ring-2 ring-red-500' : ''}`}
           onClick={() => handleDayClick(day, items)}
+          {...dayDropProps(dateStr)}
           title={items.length === 0 ? 'Click to add new item' : `${items.length} item(s) - Click to view`}
         >
           <div className={`font-bold text-lg mb-1 flex items-center justify-between ${isToday ? 'text-red-500' : 'text-zinc-500'}`}
@@ -347,45 +1199,58 @@ const SportsEditorialCalendar = () => {
                 return themeOption ? <span key={theme} className="text-base">{themeOption.emoji}</span> : null;
               })}
             </div>
-            <Plus size={16} className="text-zinc-600 group-hover:text-red-500 transition-colors opacity-0 group-hover:opacity-100" />
+            {canAddItems && <Plus size={16} className="text-zinc-600 group-hover:text-red-500 transition-colors opacity-0 group-hover:opacity-100" />}
           </div>
+          {renderRangeStrip(dateStr, column === 0)}
+          {renderSpanBars(dateStr, items, lanes, { rowStart: column === 0 || day === 1, rowEnd: column === 6 || day === daysInMonth, padding: '0.5rem', gap: '0.5rem' })}
           <div className="flex flex-col gap-1">
-            {items.slice(0, 3).map(item => {
+            {singleDayItems.slice(0, 3).map(item => {
               const colors = getItemColors(item.type);
-              const showSmallDesc = item.type === 'home' || item.type === 'away';
+              const showSmallDesc = isGameItem(item);
               return (
                 <div key={item.id} className="flex flex-col gap-0.5">
                   <div
-                    className={`${colors.bg} ${colors.text} px-2 py-1 rounded cursor-pointer
-                      hover:opacity-90 transition-all font-semibold tracking-wide uppercase flex flex-col gap-0 min-w-0`}
+                    className={`px-2 py-1 rounded cursor-pointer
+                      hover:opacity-90 transition-all font-semibold tracking-wide uppercase flex flex-col gap-0 min-w-0
+                      ${item.pending ? 'opacity-60' : ''}`}
                     style={{
+                      ...colors,
                       fontFamily: "'Barlow Condensed', sans-serif",
                       fontSize: '12px'
                     }}
+                    {...itemDragProps(item)}
                     onClick={(e) => {
+                      if (!canEdit(role, item)) return;
                       e.stopPropagation();
                       handleEdit(item);
                     }}
                     title={item.title}
                   >
-                    <span className="truncate">{item.title}</span>
-                    {showSmallDesc && item.notes && (
+                    <span className="flex items-center gap-1 min-w-0">
+                      <span className={`truncate ${gameStateClass(item)}`}>{item.title}</span>
+                      {renderRollup(item)}
+                    </span>
+                    {showSmallDesc && (
                       <span className="text-[11px] text-zinc-300 truncate font-normal normal-case" style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0' }}>
-                        {item.notes}
+                        {gameSubtitle(item, displayZone)}
                       </span>
                     )}
                   </div>
                   {item.assignees && item.assignees.length > 0 && (
                     <div className="flex gap-0.5 px-1">
-                      {item.assignees.slice(0, 3).map((assignee, idx) => (
-                        <div
-                          key={idx}
-                          className="w-4 h-4 rounded-full bg-red-600 flex items-center justify-center text-[8px] font-bold text-white"
-                          title={assignee}
-                        >
-                          {assignee.charAt(0).toUpperCase()}
-                        </div>
-                      ))}
+                      {item.assignees.slice(0, 3).map((assignee, idx) => {
+                        const member = resolveAssignee(assignee, members);
+                        return (
+                          <div
+                            key={idx}
+                            className="w-4 h-4 rounded-full flex items-center justify-center text-[7px] font-bold text-white"
+                            style={{ backgroundColor: member.color }}
+                            title={member.name}
+                          >
+                            {member.initials}
+                          </div>
+                        );
+                      })}
                       {item.assignees.length > 3 && (
                         <div className="w-4 h-4 rounded-full bg-zinc-700 flex items-center justify-center text-[7px] font-bold text-white">
                           +{item.assignees.length - 3}
@@ -396,7 +1261,7 @@ const SportsEditorialCalendar = () => {
                 </div>
               );
             })}
-            {items.length > 3 && (
+            {singleDayItems.length > 3 && (
               <div 
                 className="text-pink-400 text-xs font-semibold hover:text-pink-300 cursor-pointer" 
                 style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
@@ -405,7 +1270,7 @@ const SportsEditorialCalendar = () => {
                   handleDayClick(day, items);
                 }}
               >
-                +{items.length - 3} more
+                +{singleDayItems.length - 3} more
               </div>
             )}
           </div>
@@ -424,6 +1289,7 @@ const SportsEditorialCalendar = () => {
       date.setDate(currentWeekStart.getDate() + i);
       weekDays.push(date);
     }
+    const lanes = visibleSpanLanes(toDateStr(weekDays[0]), toDateStr(weekDays[6]));
 
     return (
       <div className="space-y-4">
@@ -458,7 +1324,7 @@ const SportsEditorialCalendar = () => {
         <div className="grid grid-cols-7 gap-3">
           {weekDays.map((date, idx) => {
             const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-            const items = calendarItems.filter(item => item.date === dateStr);
+            const items = getItemsForDateStr(dateStr);
             const dayThemes = (() => {
               const allThemes = new Set();
               items.forEach(item => {
@@ -469,14 +1335,16 @@ const SportsEditorialCalendar = () => {
               return Array.from(allThemes);
             })();
             const isToday = date.toDateString() === new Date().toDateString();
-            const hasGame = items.some(item => item.type === 'game' || item.type === 'home' || item.type === 'away');
+            const hasGame = items.some(isGameItem);
 
             return (
               <div
                 key={idx}
                 className={`group rounded-lg p-3 transition-all cursor-pointer hover:scale-105 min-h-[200px]
                   ${isToday ? 'ring-2 ring-red-600 bg-gradient-to-br from-red-900/30 to-zinc-900' : 'bg-zinc-900 hover:bg-zinc-800'}
-                  ${hasGame && !isToday ? 'bg-gradient-to-br from-red-900/20 to-zinc-900' : ''}`}
+                  ${hasGame && !isToday ? 'bg-gradient-to-br from-red-900/20 to-zinc-900' : ''}
+                  ${calendarDropTarget === dateStr ? 'ring-2 ring-red-500' : ''}`}
+                {...dayDropProps(dateStr)}
                 onClick={() => {
                   setSelectedDay({
                     day: date.getDate(),
@@ -491,7 +1359,7 @@ const SportsEditorialCalendar = () => {
                     <div className={`text-xs uppercase font-semibold ${isToday ? 'text-red-400' : 'text-zinc-500'}`} style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
                       {['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'][idx]}
                     </div>
-                    <Plus size={14} className="text-zinc-600 group-hover:text-red-500 transition-colors opacity-0 group-hover:opacity-100" />
+                    {canAddItems && <Plus size={14} className="text-zinc-600 group-hover:text-red-500 transition-colors opacity-0 group-hover:opacity-100" />}
                   </div>
                   <div className={`text-2xl font-bold flex items-center gap-1 ${isToday ? 'text-red-500' : 'text-white'}`} style={{ fontFamily: "'Oswald', sans-serif" }}>
                     {date.getDate()}
@@ -501,34 +1369,49 @@ const SportsEditorialCalendar = () => {
                     })}
                   </div>
                 </div>
+                {renderRangeStrip(dateStr, idx === 0)}
+                {renderSpanBars(dateStr, items, lanes, { rowStart: idx === 0, rowEnd: idx === 6, padding: '0.75rem', gap: '0.75rem' })}
                 <div className="space-y-2">
-                  {items.map(item => {
+                  {items.filter(item => !isMultiDay(item)).map(item => {
                     const colors = getItemColors(item.type);
                     return (
                       <div key={item.id} className="flex flex-col gap-0.5">
                         <div
-                          className={`${colors.bg} ${colors.text} px-2 py-1 rounded text-xs font-semibold uppercase truncate cursor-pointer hover:opacity-90`}
+                          className={`px-2 py-1 rounded text-xs font-semibold uppercase truncate cursor-pointer hover:opacity-90 ${item.pending ? 'opacity-60' : ''}`}
                           style={{
+                            ...colors,
                             fontFamily: "'Barlow Condensed', sans-serif"
                           }}
+                          {...itemDragProps(item)}
                           onClick={(e) => {
+                            if (!canEdit(role, item)) return;
                             e.stopPropagation();
                             handleEdit(item);
                           }}
                         >
-                          {item.title}
+                          <span className={gameStateClass(item)}>{item.title}</span> {renderRollup(item)}
+                          {isGameItem(item) && (
+                            <span className="block text-[11px] text-zinc-300 font-normal normal-case truncate">
+                              {gameState(item) !== DEFAULT_GAME_STATE ? `${gameStateLabel(item)} - ` : ''}
+                              {gameTimeLabel(item, displayZone)}{item.gameNumber > 1 ? ` - Game ${item.gameNumber}` : ''}
+                            </span>
+                          )}
                         </div>
                         {item.assignees && item.assignees.length > 0 && (
                           <div className="flex gap-0.5 px-1">
-                            {item.assignees.slice(0, 3).map((assignee, idx) => (
-                              <div
-                                key={idx}
-                                className="w-4 h-4 rounded-full bg-red-600 flex items-center justify-center text-[8px] font-bold text-white"
-                                title={assignee}
-                              >
-                                {assignee.charAt(0).toUpperCase()}
-                              </div>
-                            ))}
+                            {item.assignees.slice(0, 3).map((assignee, idx) => {
+                              const member = resolveAssignee(assignee, members);
+                              return (
+                                <div
+                                  key={idx}
+                                  className="w-4 h-4 rounded-full flex items-center justify-center text-[7px] font-bold text-white"
+                                  style={{ backgroundColor: member.color }}
+                                  title={member.name}
+                                >
+                                  {member.initials}
+                                </div>
+                              );
+                            })}
                             {item.assignees.length > 3 && (
                               <div className="w-4 h-4 rounded-full bg-zinc-700 flex items-center justify-center text-[7px] font-bold text-white">
                                 +{item.assignees.length - 3}
@@ -554,7 +1437,7 @@ const SportsEditorialCalendar = () => {
   // Render Day View
   const renderDayView = () => {
     const dateStr = `${currentDayView.getFullYear()}-${String(currentDayView.getMonth() + 1).padStart(2, '0')}-${String(currentDayView.getDate()).padStart(2, '0')}`;
-    const items = calendarItems.filter(item => item.date === dateStr);
+    const items = getItemsForDateStr(dateStr);
     const formattedDate = currentDayView.toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
@@ -581,18 +1464,23 @@ const SportsEditorialCalendar = () => {
               <h3 className="text-2xl font-bold" style={{ fontFamily: "'Oswald', sans-serif" }}>
                 {formattedDate}
               </h3>
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleAddItemForDate(dateStr);
-                }}
-                className="p-2 bg-red-600 hover:bg-red-700 rounded-lg transition-colors text-white"
-                title="Add item for this day"
-              >
-                <Plus size={20} />
-              </button>
+              {canAddItems && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleAddItemForDate(dateStr);
+                  }}
+                  className="p-2 bg-red-600 hover:bg-red-700 rounded-lg transition-colors text-white"
+                  title="Add item for this day"
+                >
+                  <Plus size={20} />
+                </button>
+              )}
             </div>
             <p className="text-zinc-400 text-sm mt-1">{items.length} event{items.length !== 1 ? 's' : ''}</p>
+            {rangeSummary(dateStr) && (
+              <p className="text-zinc-500 text-xs mt-1 uppercase" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>{rangeSummary(dateStr)}</p>
+            )}
           </div>
           <button
             onClick={() => {
@@ -606,6 +1494,9 @@ const SportsEditorialCalendar = () => {
           </button>
         </div>
 
+        {renderRescheduledPanel(dateStr)}
+        {renderAttachedPanel(dateStr)}
+
         {/* Events list */}
         <div className="space-y-3">
           {items.length === 0 ? (
@@ -613,9 +1504,9 @@ const SportsEditorialCalendar = () => {
               <p className="text-zinc-400 mb-4">No events scheduled for this day</p>
             </div>
           ) : (
-            items.map(item => {
+            topLevelItems(items).map(item => {
               const colors = getItemColors(item.type);
-              const typeLabel = typeOptions.find(t => t.value === item.type)?.label || item.type.toUpperCase();
+              const typeLabel = entryLabel(itemTypes, item.type);
 
               return (
                 <div
@@ -626,8 +1517,9 @@ const SportsEditorialCalendar = () => {
                     <div className="flex-1">
                       {/* Type Badge */}
                       <span
-                        className={`${colors.bg} ${colors.text} text-sm px-3 py-1 rounded font-semibold inline-block mb-3`}
+                        className="text-sm px-3 py-1 rounded font-semibold inline-block mb-3"
                         style={{
+                          ...colors,
                           fontFamily: "'Barlow Condensed', sans-serif"
                         }}
                       >
@@ -635,9 +1527,25 @@ const SportsEditorialCalendar = () => {
                       </span>
 
                       {/* Title */}
-                      <h4 className="text-white font-bold text-2xl mb-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+                      <h4 className={`text-white font-bold text-2xl mb-2 ${gameStateClass(item)}`} style={{ fontFamily: "'Oswald', sans-serif" }}>
                         {item.title}
                       </h4>
+                      {item.original && item.original.date !== item.date && (
+                        <p className="text-zinc-500 text-sm mb-1">Rescheduled from {shortDate(item.original.date)}</p>
+                      )}
+                      <div className="flex flex-wrap gap-1">
+                        {renderSeriesChip(item)}
+                        {renderParentChip(item)}
+                        {renderRecurrenceChip(item)}
+                        {renderSpanChip(item)}
+                      </div>
+
+                      {/* Game details */}
+                      {isGameItem(item) && (
+                        <p className="text-zinc-300 font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                          {gameSubtitle(item, displayZone)}
+                        </p>
+                      )}
 
                       {/* Notes */}
                       {item.notes && (
@@ -665,20 +1573,24 @@ const SportsEditorialCalendar = () => {
                       {item.assignees && item.assignees.length > 0 && (
                         <div className="flex items-center gap-3 mt-3">
                           <div className="flex -space-x-2">
-                            {item.assignees.map((assignee, idx) => (
-                              <div
-                                key={idx}
-                                className="w-8 h-8 rounded-full bg-red-600 flex items-center justify-center text-sm font-bold text-white border-2 border-zinc-900 hover:scale-110 transition-transform cursor-help"
-                                title={assignee}
-                              >
-                                {assignee.charAt(0).toUpperCase()}
-                              </div>
-                            ))}
+                            {item.assignees.map((assignee, idx) => {
+                              const member = resolveAssignee(assignee, members);
+                              return (
+                                <div
+                                  key={idx}
+                                  className="w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold text-white border-2 border-zinc-900 hover:scale-110 transition-transform cursor-help"
+                                  style={{ backgroundColor: member.color }}
+                                  title={member.name}
+                                >
+                                  {member.initials}
+                                </div>
+                              );
+                            })}
                           </div>
                           <div className="flex flex-wrap gap-2">
                             {item.assignees.map(assignee => (
                               <span key={assignee} className="text-xs bg-zinc-800 px-2 py-1 rounded text-zinc-300">
-                                {assignee}
+                                {resolveAssignee(assignee, members).name}
                               </span>
                             ))}
                           </div>
@@ -687,42 +1599,528 @@ const SportsEditorialCalendar = () => {
 
                       {/* Status */}
                       <div className="mt-3">
-                        <span className={`text-xs px-2 py-1 rounded font-semibold uppercase ${
-                          item.status === 'completed' ? 'bg-green-900/50 text-green-300' :
-                          item.status === 'in-progress' ? 'bg-blue-900/50 text-blue-300' :
-                          item.status === 'review' ? 'bg-yellow-900/50 text-yellow-300' :
-                          'bg-zinc-800 text-zinc-400'
-                        }`}>
+                        <span className={`text-xs px-2 py-1 rounded font-semibold uppercase ${statusClasses(item.status)}`}>
                           {item.status}
                         </span>
                       </div>
+
+                      {renderLinkedChildren(item)}
                     </div>
 
                     {/* Action Buttons */}
                     <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                      {isGameItem(item) && canReschedule(role, item) && (
+                        <button
+                          onClick={() => setReschedulingGame(item)}
+                          className="p-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                          title="Reschedule game"
+                        >
+                          <CalendarClock size={18} />
+                        </button>
+                      )}
+                      {canHaveChildren(item) && canAddItems && (
+                        <button
+                          onClick={() => setApplyingTemplate({ item, series: seriesForGame(item) })}
+                          className="p-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                          title="Apply template"
+                        >
+                          <ListChecks size={18} />
+                        </button>
+                      )}
+                      {canEdit(role, item) && (
+                        <button
+                          onClick={() => handleEdit(item)}
+                          className="p-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                        >
+                          <Edit2 size={18} />
+                        </button>
+                      )}
+                      {canDelete(role, item) && (
+                        <button
+                          onClick={() => {
+                            if (isOccurrence(item) || confirm('Delete this item?')) {
+                              handleDelete(item);
+                            }
+                          }}
+                          className="p-3 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderMyWorkView = () => {
+    const me = memberForUser(user, members);
+    if (!me) {
+      return (
+        <div className="max-w-4xl mx-auto text-center py-12 bg-zinc-900 rounded-lg">
+          <p className="text-zinc-400">Your account is not linked to a team member yet.</p>
+          <p className="text-zinc-500 text-sm mt-1">Ask an admin to link it under Settings &gt; Team.</p>
+        </div>
+      );
+    }
+
+    const today = toDateStr(new Date());
+    const visible = expandedItems.filter(item => matchesFilter(item, filter, members));
+    const groups = groupMyWork(visible, me.id, members, today, statusOptions);
+    const total = Object.values(groups).reduce((sum, group) => sum + group.length, 0);
+
+    return (
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="bg-zinc-900 rounded-lg p-4 text-center">
+          <h3 className="text-2xl font-bold" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            {me.name.toUpperCase()}'S WORK
+          </h3>
+          <p className="text-zinc-400 text-sm mt-1">
+            {total} assigned item{total !== 1 ? 's' : ''}
+            {groups.overdue.length > 0 && <span className="text-red-400"> - {groups.overdue.length} overdue</span>}
+          </p>
+        </div>
+
+        {MY_WORK_GROUPS.filter(group => groups[group.key].length > 0).map(group => (
+          <div key={group.key}>
+            <h4
+              className={`text-sm font-bold mb-2 ${group.key === 'overdue' ? 'text-red-400' : 'text-zinc-400'}`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.05em' }}
+            >
+              {group.label} ({groups[group.key].length})
+            </h4>
+            <div className="space-y-2">
+              {groups[group.key].map(item => (
+                <div
+                  key={item.id}
+                  className={`bg-zinc-900 rounded-lg p-4 flex items-center gap-4 border ${
+                    isOverdue(item, today) ? 'border-red-600/70' : 'border-transparent'
+                  }`}
+                >
+                  <button
+                    onClick={() => jumpToItem(item)}
+                    className="w-28 shrink-0 text-left text-sm text-zinc-400 hover:text-white transition-colors"
+                    style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                    title="Show this day"
+                  >
+                    {shortDate(item.date)}
+                  </button>
+                  <span className="px-2 py-0.5 rounded text-xs font-semibold shrink-0" style={getItemColors(item.type)}>
+                    {entryLabel(itemTypes, item.type)}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className={`font-semibold truncate ${gameStateClass(item)}`}>{item.title}</p>
+                    {isGameItem(item) && (
+                      <p className="text-xs text-zinc-500 truncate">{gameSubtitle(item, displayZone)}</p>
+                    )}
+                    <div className="flex flex-wrap gap-1">
+                      {renderSeriesChip(item)}
+                      {renderParentChip(item)}
+                      {renderRecurrenceChip(item)}
+                      {renderSpanChip(item)}
+                    </div>
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    {statusOptions.map(status => (
                       <button
-                        onClick={() => handleEdit(item)}
-                        className="p-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                        key={status}
+                        onClick={() => handleStatusChange(item, status)}
+                        disabled={!canEdit(role, item)}
+                        className={`text-[10px] px-2 py-1 rounded font-semibold uppercase transition-all disabled:cursor-not-allowed ${
+                          item.status === status ? statusClasses(status) : 'text-zinc-600 hover:text-zinc-300 hover:bg-zinc-800'
+                        }`}
                       >
-                        <Edit2 size={18} />
+                        {status}
                       </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {total === 0 && (
+          <div className="text-center py-12 bg-zinc-900 rounded-lg">
+            <p className="text-zinc-400">Nothing assigned to you{activeFilterCount(filter) > 0 ? ' matches the current filters' : ''}.</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderAgendaView = () => {
+    const today = toDateStr(new Date());
+    const visible = applyPending(expandedItems, pendingMoves).filter(item => matchesFilter(item, filter, members));
+    const days = agendaDays(visible, agendaRange.from, agendaRange.to);
+    const hasMore = agendaRange.to < seasonEnd;
+
+    return (
+      <div className="max-w-4xl mx-auto space-y-4">
+        {/* Agenda controls */}
+        <div className="flex items-center gap-2 bg-zinc-900 rounded-lg p-4" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <span className="text-xs font-semibold text-zinc-500">FROM</span>
+          <input
+            type="date"
+            value={agendaRange.from}
+            onChange={(e) => e.target.value && setAgendaRange({ from: e.target.value, to: addDays(e.target.value, AGENDA_PAGE_DAYS - 1) })}
+            className="bg-zinc-800 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+          />
+          <button
+            onClick={() => setAgendaRange({ from: today, to: addDays(today, AGENDA_PAGE_DAYS - 1) })}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm font-semibold text-zinc-300 transition-colors"
+          >
+            TODAY
+          </button>
+          <span className="text-sm text-zinc-500 ml-auto">
+            Through {parseDateStr(agendaRange.to).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+          </span>
+        </div>
+
+        {days.map(({ date, games, items }) => (
+          <div key={date} className={`bg-zinc-900 rounded-lg overflow-hidden ${date === today ? 'ring-2 ring-red-600' : ''}`}>
+            {/* Date header with the day's games */}
+            <div className={`flex items-center gap-4 px-4 py-3 ${games.length > 0 ? 'bg-gradient-to-r from-red-900/40 to-zinc-900' : 'bg-zinc-800/50'}`}>
+              <button
+                onClick={() => jumpToDate(date)}
+                className={`w-32 shrink-0 text-left font-bold hover:text-white transition-colors ${date === today ? 'text-red-500' : 'text-zinc-300'}`}
+                style={{ fontFamily: "'Oswald', sans-serif" }}
+                title="Show this day"
+              >
+                {parseDateStr(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }).toUpperCase()}
+              </button>
+              <div className="flex flex-wrap gap-x-6 gap-y-1 min-w-0" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                {games.map(game => (
+                  <button
+                    key={game.id}
+                    onClick={() => handleEdit(game)}
+                    className="flex items-center gap-2 text-left hover:opacity-80 transition-opacity"
+                  >
+                    <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase" style={getItemColors(game.type)}>
+                      {game.homeAway === 'away' ? 'AWAY' : 'HOME'}
+                    </span>
+                    <span className={`font-semibold uppercase ${gameStateClass(game)}`}>{game.title}</span>
+                    {renderRollup(game)}
+                    <span className="text-sm text-zinc-400">{gameSubtitle(game, displayZone)}</span>
+                  </button>
+                ))}
+                {games.length === 0 && <span className="text-sm text-zinc-500">No game</span>}
+                {rangeSummary(date) && (
+                  <span className="basis-full text-xs text-zinc-500 uppercase">{rangeSummary(date)}</span>
+                )}
+              </div>
+            </div>
+
+            {items.length > 0 && (
+              <div className="divide-y divide-zinc-800">
+                {items.map(item => (
+                  <div
+                    key={item.id}
+                    onClick={() => handleEdit(item)}
+                    className={`flex items-center gap-4 px-4 py-2.5 ${canEdit(role, item) ? 'cursor-pointer hover:bg-zinc-800/60' : ''} ${item.pending ? 'opacity-60' : ''}`}
+                  >
+                    <span className="w-32 shrink-0 px-2 py-0.5 rounded text-xs font-semibold truncate text-center" style={getItemColors(item.type)}>
+                      {entryLabel(itemTypes, item.type)}
+                    </span>
+                    <p className="flex-1 min-w-0 font-semibold truncate">{item.title}</p>
+                    {renderSpanChip(item, date)}
+                    {renderParentChip(item)}
+                    {renderSeriesChip(item)}
+                    {item.assignees?.length > 0 && (
+                      <div className="flex -space-x-1.5 shrink-0">
+                        {item.assignees.map((assignee, idx) => {
+                          const member = resolveAssignee(assignee, members);
+                          return (
+                            <div
+                              key={idx}
+                              className="w-6 h-6 rounded-full flex items-center justify-center text-[10px] font-bold text-white border-2 border-zinc-900"
+                              style={{ backgroundColor: member.color }}
+                              title={member.name}
+                            >
+                              {member.initials}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                    <span className={`text-xs px-2 py-1 rounded font-semibold uppercase shrink-0 ${statusClasses(item.status)}`}>{item.status}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {days.length === 0 && !hasMore && (
+          <div className="text-center py-12 bg-zinc-900 rounded-lg">
+            <p className="text-zinc-400">Nothing scheduled from this date{activeFilterCount(filter) > 0 ? ' matches the current filters' : ''}.</p>
+          </div>
+        )}
+
+        {hasMore ? (
+          <div ref={agendaEndRef} className="text-center py-4 text-sm text-zinc-500">Loading more dates...</div>
+        ) : days.length > 0 && (
+          <div className="text-center py-4 text-sm text-zinc-600">End of the calendar</div>
+        )}
+      </div>
+    );
+  };
+
+  // Season view: all twelve months of currentYear, with homestand/road-trip
+  // bands and promo/event dots. Bands come from every game so a filter never
+  // hides them; the dots follow the filter.
+  const renderSeasonView = () => {
+    const today = toDateStr(new Date());
+    const stretches = seasonRanges.filter(range => range.kind !== 'series');
+    const density = densityByDate(expandedItems.filter(item => matchesFilter(item, filter, members)));
+    const gameDates = new Set(calendarItems.filter(isGameItem).map(item => item.date));
+    const bandColor = (homeAway) => getItemColors(homeAway).backgroundColor;
+
+    return (
+      <div className="space-y-4">
+        {/* Year navigation header */}
+        <div className="flex items-center justify-between mb-2">
+          <button onClick={() => setCurrentYear(currentYear - 1)} className="p-2 hover:bg-zinc-800 rounded-lg transition-colors">
+            <ChevronLeft size={24} />
+          </button>
+          <h3 className="text-xl font-bold" style={{ fontFamily: "'Oswald', sans-serif" }}>{currentYear} SEASON</h3>
+          <button onClick={() => setCurrentYear(currentYear + 1)} className="p-2 hover:bg-zinc-800 rounded-lg transition-colors">
+            <ChevronRight size={24} />
+          </button>
+        </div>
+
+        {/* Legend */}
+        <div className="flex items-center justify-center gap-6 text-xs text-zinc-400 font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <span className="flex items-center gap-2"><span className="w-6 h-1.5 rounded" style={{ backgroundColor: bandColor('home') }}></span>HOMESTAND</span>
+          <span className="flex items-center gap-2"><span className="w-6 h-1.5 rounded" style={{ backgroundColor: bandColor('away') }}></span>ROAD TRIP</span>
+          {DENSITY_TYPES.map(type => (
+            <span key={type} className="flex items-center gap-2">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getItemColors(type).backgroundColor }}></span>
+              {entryLabel(itemTypes, type)}
+            </span>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-4 gap-4">
+          {months.map((monthName, month) => {
+            const firstDay = getFirstDayOfMonth(month, currentYear);
+            const daysInMonth = getDaysInMonth(month, currentYear);
+            const monthPrefix = `${currentYear}-${String(month + 1).padStart(2, '0')}-`;
+            const gameCount = [...gameDates].filter(date => date.startsWith(monthPrefix)).length;
+
+            return (
+              <div key={monthName} className="bg-zinc-900 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <button
+                    onClick={() => { setCurrentMonth(month); setViewMode('month'); }}
+                    className="font-bold text-sm hover:text-red-400 transition-colors"
+                    style={{ fontFamily: "'Oswald', sans-serif" }}
+                    title="Open this month"
+                  >
+                    {monthName.toUpperCase()}
+                  </button>
+                  {gameCount > 0 && (
+                    <span className="text-[10px] text-zinc-500" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                      {gameCount} GAME DAY{gameCount !== 1 ? 'S' : ''}
+                    </span>
+                  )}
+                </div>
+                <div className="grid grid-cols-7">
+                  {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((letter, idx) => (
+                    <div key={idx} className="text-center text-[10px] text-zinc-600 font-semibold pb-1">{letter}</div>
+                  ))}
+                  {Array.from({ length: firstDay }, (_, idx) => <div key={`empty-${idx}`} />)}
+                  {Array.from({ length: daysInMonth }, (_, idx) => {
+                    const day = idx + 1;
+                    const dateStr = `${monthPrefix}${String(day).padStart(2, '0')}`;
+                    const stretch = stretchForDate(stretches, dateStr);
+                    const counts = density.get(dateStr);
+                    const label = [
+                      rangeSummary(dateStr),
+                      ...DENSITY_TYPES.filter(type => counts?.[type]).map(type => `${counts[type]} ${entryLabel(itemTypes, type).toLowerCase()}`)
+                    ].filter(Boolean).join(', ');
+
+                    return (
                       <button
-                        onClick={() => {
-                          if (confirm('Delete this item?')) {
-                            handleDelete(item.id);
-                          }
-                        }}
-                        className="p-3 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                        key={day}
+                        onClick={() => jumpToDate(dateStr)}
+                        className={`relative h-9 flex flex-col items-center pt-0.5 text-xs hover:bg-zinc-800 transition-colors ${
+                          dateStr === today ? 'text-red-500 font-bold' : 'text-zinc-300'
+                        }`}
+                        title={label || undefined}
                       >
-                        <Trash2 size={18} />
+                        {day}
+                        {counts && (
+                          <span className="flex gap-0.5 mt-0.5">
+                            {DENSITY_TYPES.flatMap(type => Array.from({ length: Math.min(counts[type], 3) }, (_, n) => (
+                              <span key={`${type}-${n}`} className="w-1 h-1 rounded-full" style={{ backgroundColor: getItemColors(type).backgroundColor }}></span>
+                            )))}
+                          </span>
+                        )}
+                        {stretch && (
+                          <span
+                            className={`absolute inset-x-0 bottom-0 h-1.5 ${gameDates.has(dateStr) ? '' : 'opacity-40'}
+                              ${dateStr === stretch.from ? 'rounded-l' : ''} ${dateStr === stretch.to ? 'rounded-r' : ''}`}
+                            style={{ backgroundColor: bandColor(stretch.homeAway) }}
+                          ></span>
+                        )}
                       </button>
-                    </div>
-                  </div>
+                    );
+                  })}
                 </div>
-              );
-            })
-          )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  const handleBoardDrop = (e, status) => {
+    e.preventDefault();
+    setBoardDropTarget(null);
+    const item = expandedItems.find(i => i.id === e.dataTransfer.getData('text/plain'));
+    if (item) handleStatusChange(item, status);
+  };
+
+  const renderBoardView = () => {
+    const items = expandedItems
+      .filter(item => itemEndDate(item) >= boardRange.from && item.date <= boardRange.to && matchesFilter(item, filter, members))
+      .sort((a, b) => a.date.localeCompare(b.date) || compareItemsForDay(a, b));
+    const lanes = boardLanes(items, boardLaneMode, { members, itemTypes });
+
+    return (
+      <div className="space-y-4">
+        {/* Board controls */}
+        <div className="flex items-center gap-4 flex-wrap bg-zinc-900 rounded-lg p-4" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <div className="flex items-center gap-2">
+            <span className="text-xs font-semibold text-zinc-500">FROM</span>
+            <input
+              type="date"
+              value={boardRange.from}
+              onChange={(e) => setBoardRange({ ...boardRange, from: e.target.value })}
+              className="bg-zinc-800 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+            />
+            <span className="text-xs font-semibold text-zinc-500">TO</span>
+            <input
+              type="date"
+              value={boardRange.to}
+              onChange={(e) => setBoardRange({ ...boardRange, to: e.target.value })}
+              className="bg-zinc-800 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+            />
+            <button
+              onClick={() => setBoardRange(weekRange(new Date()))}
+              className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm font-semibold text-zinc-300 transition-colors"
+            >
+              THIS WEEK
+            </button>
+          </div>
+          <div className="flex items-center gap-2 border-l border-zinc-700 pl-4">
+            <span className="text-xs font-semibold text-zinc-500">SWIMLANES</span>
+            {SWIMLANE_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => setBoardLaneMode(mode.value)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                  boardLaneMode === mode.value
+                    ? 'bg-red-600 text-white'
+                    : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <span className="text-sm text-zinc-500 ml-auto">{items.length} item{items.length !== 1 ? 's' : ''}</span>
         </div>
+
+        {/* Status headers */}
+        <div className="grid grid-cols-4 gap-3">
+          {statusOptions.map(status => (
+            <div key={status} className="flex items-center justify-between px-3">
+              <span className={`text-xs px-2 py-1 rounded font-semibold uppercase ${statusClasses(status)}`}>{status}</span>
+              <span className="text-xs text-zinc-500">{items.filter(item => item.status === status).length}</span>
+            </div>
+          ))}
+        </div>
+
+        {lanes.map(lane => (
+          <div key={lane.key}>
+            {lane.label && (
+              <h4 className="text-sm font-bold text-zinc-400 mb-2 px-1" style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.05em' }}>
+                {lane.label.toUpperCase()} ({lane.items.length})
+              </h4>
+            )}
+            <div className="grid grid-cols-4 gap-3">
+              {statusOptions.map(status => {
+                const target = `${lane.key}|${status}`;
+                return (
+                  <div
+                    key={status}
+                    onDragOver={(e) => { e.preventDefault(); setBoardDropTarget(target); }}
+                    onDragLeave={() => setBoardDropTarget(null)}
+                    onDrop={(e) => handleBoardDrop(e, status)}
+                    className={`min-h-24 rounded-lg p-2 space-y-2 transition-colors ${
+                      boardDropTarget === target ? 'bg-red-900/30 ring-2 ring-red-600' : 'bg-zinc-900/60'
+                    }`}
+                  >
+                    {lane.items.filter(item => item.status === status).map(item => (
+                      <div
+                        key={item.id}
+                        draggable={canEdit(role, item)}
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', item.id)}
+                        onClick={() => jumpToItem(item)}
+                        className={`bg-zinc-800 hover:bg-zinc-700 rounded-lg p-3 transition-colors ${
+                          canEdit(role, item) ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'
+                        }`}
+                      >
+                        <div className="flex items-center gap-2 mb-1">
+                          <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold" style={getItemColors(item.type)}>
+                            {entryLabel(itemTypes, item.type)}
+                          </span>
+                          <span className="text-xs text-zinc-500" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                            {shortDate(item.date)}
+                          </span>
+                        </div>
+                        <p className={`text-sm font-semibold leading-tight ${gameStateClass(item)}`}>{item.title}</p>
+                        {(item.seriesId || item.parentId || isOccurrence(item) || item.recurrenceOf || isMultiDay(item)) && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {renderSeriesChip(item)}
+                            {renderParentChip(item)}
+                            {renderRecurrenceChip(item)}
+                            {renderSpanChip(item)}
+                          </div>
+                        )}
+                        {item.assignees?.length > 0 && (
+                          <div className="flex -space-x-1.5 mt-2">
+                            {item.assignees.map((assignee, idx) => {
+                              const member = resolveAssignee(assignee, members);
+                              return (
+                                <div
+                                  key={idx}
+                                  className="w-6 h-6 rounded-full flex items-center justify-center text-[10px] font-bold text-white border-2 border-zinc-800"
+                                  style={{ backgroundColor: member.color }}
+                                  title={member.name}
+                                >
+                                  {member.initials}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
       </div>
     );
   };
@@ -745,7 +2143,7 @@ const SportsEditorialCalendar = () => {
     }
 
     const dateStr = `${newYear}-${String(newMonth + 1).padStart(2, '0')}-${String(newDay).padStart(2, '0')}`;
-    const items = calendarItems.filter(item => item.date === dateStr);
+    const items = getItemsForDateStr(dateStr);
 
     setSelectedDay({
       day: newDay,
@@ -784,6 +2182,9 @@ const SportsEditorialCalendar = () => {
                   {formattedDate}
                 </h3>
                 <p className="text-red-200 text-sm">{selectedDay.items.length} event{selectedDay.items.length !== 1 ? 's' : ''}</p>
+                {rangeSummary(selectedDay.date) && (
+                  <p className="text-red-200/80 text-xs uppercase" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>{rangeSummary(selectedDay.date)}</p>
+                )}
               </div>
               <button
                 onClick={() => navigateDayModal(1)}
@@ -803,22 +2204,26 @@ const SportsEditorialCalendar = () => {
 
           {/* Events List */}
           <div className="p-4 overflow-y-auto max-h-[60vh] space-y-3">
+            {renderRescheduledPanel(selectedDay.date)}
+            {renderAttachedPanel(selectedDay.date)}
             {selectedDay.items.length === 0 ? (
               <div className="text-center py-8 text-zinc-400">
                 <p className="mb-4">No events for this day</p>
-                <button
-                  onClick={() => handleAddItemForDate(selectedDay.date)}
-                  className="inline-flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
-                  style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
-                >
-                  <Plus size={16} />
-                  ADD ITEM
-                </button>
+                {canAddItems && (
+                  <button
+                    onClick={() => handleAddItemForDate(selectedDay.date)}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
+                    style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                  >
+                    <Plus size={16} />
+                    ADD ITEM
+                  </button>
+                )}
               </div>
             ) : (
-              selectedDay.items.map(item => {
+              topLevelItems(selectedDay.items).map(item => {
                 const colors = getItemColors(item.type);
-                const typeLabel = typeOptions.find(t => t.value === item.type)?.label || item.type.toUpperCase();
+                const typeLabel = entryLabel(itemTypes, item.type);
 
                 return (
                   <div
@@ -829,8 +2234,9 @@ const SportsEditorialCalendar = () => {
                       <div className="flex-1">
                         {/* Type Badge */}
                         <span
-                          className={`${colors.bg} ${colors.text} text-xs px-2 py-1 rounded font-semibold inline-block mb-2`}
+                          className="text-xs px-2 py-1 rounded font-semibold inline-block mb-2"
                           style={{
+                            ...colors,
                             fontFamily: "'Barlow Condensed', sans-serif"
                           }}
                         >
@@ -838,9 +2244,25 @@ const SportsEditorialCalendar = () => {
                         </span>
 
                         {/* Title */}
-                        <h4 className="text-white font-bold text-lg" style={{ fontFamily: "'Oswald', sans-serif" }}>
+                        <h4 className={`text-white font-bold text-lg ${gameStateClass(item)}`} style={{ fontFamily: "'Oswald', sans-serif" }}>
                           {item.title}
                         </h4>
+                        {item.original && item.original.date !== item.date && (
+                          <p className="text-zinc-500 text-xs">Rescheduled from {shortDate(item.original.date)}</p>
+                        )}
+                        <div className="flex flex-wrap gap-1">
+                          {renderSeriesChip(item)}
+                          {renderParentChip(item)}
+                          {renderRecurrenceChip(item)}
+                          {renderSpanChip(item)}
+                        </div>
+
+                        {/* Game details */}
+                        {isGameItem(item) && (
+                          <p className="text-zinc-300 text-sm font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                            {gameSubtitle(item, displayZone)}
+                          </p>
+                        )}
 
                         {/* Notes */}
                         {item.notes && (
@@ -867,40 +2289,74 @@ const SportsEditorialCalendar = () => {
                         {/* Assignees */}
                         {item.assignees && item.assignees.length > 0 && (
                           <div className="flex gap-1 mt-2">
-                            {item.assignees.map((assignee, idx) => (
-                              <div
-                                key={idx}
-                                className="w-5 h-5 rounded-full bg-red-600 flex items-center justify-center text-[9px] font-bold text-white"
-                                title={assignee}
-                              >
-                                {assignee.charAt(0).toUpperCase()}
-                              </div>
-                            ))}
+                            {item.assignees.map((assignee, idx) => {
+                              const member = resolveAssignee(assignee, members);
+                              return (
+                                <div
+                                  key={idx}
+                                  className="w-5 h-5 rounded-full flex items-center justify-center text-[8px] font-bold text-white"
+                                  style={{ backgroundColor: member.color }}
+                                  title={member.name}
+                                >
+                                  {member.initials}
+                                </div>
+                              );
+                            })}
                           </div>
                         )}
+
+                        {renderLinkedChildren(item)}
                       </div>
 
                       {/* Action Buttons */}
                       <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                        <button
-                          onClick={() => {
-                            setShowDayModal(false);
-                            handleEdit(item);
-                          }}
-                          className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
-                        >
-                          <Edit2 size={16} />
-                        </button>
-                        <button
-                          onClick={() => {
-                            if (confirm('Delete this item?')) {
-                              handleDelete(item.id);
-                            }
-                          }}
-                          className="p-2 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
-                        >
-                          <Trash2 size={16} />
-                        </button>
+                        {isGameItem(item) && canReschedule(role, item) && (
+                          <button
+                            onClick={() => {
+                              setShowDayModal(false);
+                              setReschedulingGame(item);
+                            }}
+                            className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                            title="Reschedule game"
+                          >
+                            <CalendarClock size={16} />
+                          </button>
+                        )}
+                        {canHaveChildren(item) && canAddItems && (
+                          <button
+                            onClick={() => {
+                              setShowDayModal(false);
+                              setApplyingTemplate({ item, series: seriesForGame(item) });
+                            }}
+                            className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                            title="Apply template"
+                          >
+                            <ListChecks size={16} />
+                          </button>
+                        )}
+                        {canEdit(role, item) && (
+                          <button
+                            onClick={() => {
+                              setShowDayModal(false);
+                              handleEdit(item);
+                            }}
+                            className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                        )}
+                        {canDelete(role, item) && (
+                          <button
+                            onClick={() => {
+                              if (isOccurrence(item) || confirm('Delete this item?')) {
+                                handleDelete(item);
+                              }
+                            }}
+                            className="p-2 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -911,7 +2367,7 @@ const SportsEditorialCalendar = () => {
 
           {/* Footer */}
           <div className="p-4 border-t border-zinc-700 flex justify-between gap-2">
-            {selectedDay.items.length > 0 && (
+            {selectedDay.items.length > 0 && canAddItems && (
               <button
                 onClick={() => handleAddItemForDate(selectedDay.date)}
                 className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
@@ -933,7 +2389,56 @@ const SportsEditorialCalendar = () => {
     );
   };
 
-  if (loading) {
+  if (authReady && !user) {
+    return (
+      <div className="min-h-screen bg-zinc-950 flex items-center justify-center p-4 text-white">
+        <div className="bg-zinc-900 rounded-2xl p-8 w-full max-w-sm border border-zinc-700 text-center">
+          <div className="w-16 h-16 bg-white/10 rounded-xl flex items-center justify-center border border-white/20 mx-auto mb-4">
+            <img src="/logo.png" alt="Angels Logo" className="w-12 h-12 object-contain" />
+          </div>
+          <h1 className="text-2xl font-black tracking-tight mb-1" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            @ANGELS CALENDAR
+          </h1>
+          <p className="text-zinc-400 text-sm mb-6">Sign in to view and edit the calendar</p>
+
+          <button
+            onClick={handleGoogleSignIn}
+            className="w-full flex items-center justify-center gap-2 py-3 bg-gradient-to-r from-red-600 to-red-700
+              hover:from-red-500 hover:to-red-600 text-white font-bold rounded-lg transition-all mb-4"
+            style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
+          >
+            <LogIn size={18} />
+            SIGN IN WITH GOOGLE
+          </button>
+
+          <div className="text-zinc-600 text-xs uppercase mb-4" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>or</div>
+
+          <input
+            type="email"
+            value={signInEmail}
+            onChange={(e) => setSignInEmail(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleEmailSignIn()}
+            className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 mb-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+            placeholder="you@angels.com"
+          />
+          <button
+            onClick={handleEmailSignIn}
+            className="w-full flex items-center justify-center gap-2 py-2 bg-zinc-700 hover:bg-zinc-600 text-white font-semibold rounded-lg transition-colors"
+            style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+          >
+            <Mail size={16} />
+            EMAIL ME A SIGN-IN LINK
+          </button>
+
+          {signInMessage && (
+            <p className="text-zinc-400 text-sm mt-4">{signInMessage}</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (!authReady || loading) {
     return (
       <div className="min-h-screen bg-zinc-950 flex items-center justify-center">
         <div className="text-center">
@@ -944,22 +2449,91 @@ const SportsEditorialCalendar = () => {
     );
   }
 
+  const csvImport = showImportModal && addMode === 'import' ? csvPreview() : null;
+  const searchResults = searchOpen ? searchItems(expandedItems, searchQuery, members) : [];
+
   return (
     <div className="min-h-screen bg-zinc-950 text-white">
       {/* Day Modal */}
       <DayModal />
+
+      {/* Settings Modal */}
+      {showSettings && (
+        <SettingsModal
+          user={user}
+          members={members}
+          itemTypes={itemTypes}
+          dayThemes={dayThemes}
+          templates={templates}
+          calendarItems={calendarItems}
+          statusOptions={statusOptions}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {/* Reschedule Modal */}
+      {reschedulingGame && (
+        <RescheduleModal
+          game={reschedulingGame}
+          linkedItems={linkedContent(reschedulingGame)}
+          selectedIds={linkedContent(reschedulingGame)
+            .filter(item => item.parentId === reschedulingGame.id)
+            .map(item => item.id)}
+          itemTypes={itemTypes}
+          onConfirm={handleRescheduleGame}
+          onClose={() => setReschedulingGame(null)}
+        />
+      )}
+
+      {/* Recurrence Scope Modal */}
+      {scopePrompt && (
+        <RecurrenceScopeModal
+          action={scopePrompt.action}
+          item={scopePrompt.item}
+          scopes={occurrenceScopes(scopePrompt)}
+          onChoose={handleOccurrenceScope}
+          onClose={() => setScopePrompt(null)}
+        />
+      )}
+
+      {/* Template Modal */}
+      {applyingTemplate && (
+        <TemplateModal
+          templates={templates}
+          item={applyingTemplate.item}
+          series={applyingTemplate.series}
+          calendarItems={expandedItems}
+          itemTypes={itemTypes}
+          onApply={handleApplyTemplate}
+          onClose={() => setApplyingTemplate(null)}
+        />
+      )}
+
+      {/* Export Modal */}
+      {showExport && (
+        <ExportModal
+          initialFilter={filter}
+          calendarItems={expandedItems}
+          members={members}
+          itemTypes={itemTypes}
+          onClose={() => setShowExport(false)}
+        />
+      )}
       
       {/* Header with Background */}
-      <div className="relative overflow-hidden">
-        <div className="absolute inset-0 bg-gradient-to-br from-red-700/40 via-zinc-900 to-zinc-950"></div>
-        <div 
-          className="absolute inset-0 opacity-10"
-          style={{
-            backgroundImage: `url("data:image/svg+xml,%3Csvg width='60' height='60' viewBox='0 0 60 60' xmlns='http://www.w3.org/2000/svg'%3E%3Cg fill='none' fill-rule='evenodd'%3E%3Cg fill='%23ffffff' fill-opacity='0.4'%3E%3Cpath d='M36 34v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zm0-30V0h-2v4h-4v2h4v4h2V6h4V4h-4zM6 34v-4H4v4H0v2h4v4h2v-4h4v-2H6zM6 4V0H4v4H0v2h4v4h2V6h4V4H6z'/%3E%3C/g%3E%3C/g%3E%3C/svg%3E")`,
-            backgroundSize: '100% auto',
-            backgroundPosition: '70% 40%'
-          }}
-        >
+      <div className="relative">
+        {/* Background layers are clipped on their own so the search results can overflow */}
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-gradient-to-br from-red-700/40 via-zinc-900 to-zinc-950"></div>
+          <div 
+            className="absolute inset-0 opacity-10"
+            style={{
+              backgroundImage: `url("data:image/svg+xml,%3Csvg width='60' height='60' viewBox='0 0 60 60' xmlns='http://www.w3.org/2000/svg'%3E%3Cg fill='none' fill-rule='evenodd'%3E%3Cg fill='%23ffffff' fill-opacity='0.4'%3E%3Cpath d='M36 34v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zm0-30V0h-2v4h-4v2h4v4h2V6h4V4h-4zM6 34v-4H4v4H0v2h4v4h2v-4h4v-2H6zM6 4V0H4v4H0v2h4v4h2V6h4V4H6z'/%3E%3C/g%3E%3C/g%3E%3C/svg%3E")`,
+              backgroundSize: '100% auto',
+              backgroundPosition: '70% 40%'
+            }}
+          >
+          </div>
         </div>
         
         <div className="relative z-10 p-8 flex items-center justify-between">
@@ -977,7 +2551,117 @@ const SportsEditorialCalendar = () => {
             </div>
           </div>
           <div className="flex items-center gap-3">
-            {calendarItems.length === 0 && (
+            {/* Search */}
+            <div className="relative">
+              <div className="flex items-center gap-2 px-3 py-2 bg-white/10 rounded-lg border border-white/20 focus-within:ring-2 focus-within:ring-red-500">
+                <Search size={16} className="text-zinc-400" />
+                <input
+                  type="text"
+                  value={searchQuery}
+                  onChange={(e) => { setSearchQuery(e.target.value); setSearchOpen(true); }}
+                  onFocus={() => setSearchOpen(true)}
+                  onKeyDown={(e) => e.key === 'Escape' && setSearchOpen(false)}
+                  placeholder="Search items, notes, people..."
+                  className="w-56 bg-transparent text-sm placeholder-zinc-500 focus:outline-none"
+                  style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                />
+                {searchQuery && (
+                  <button
+                    onClick={() => { setSearchQuery(''); setSearchOpen(false); }}
+                    className="text-zinc-400 hover:text-white transition-colors"
+                    title="Clear search"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+              {searchOpen && searchQuery.trim() && (
+                <>
+                  <div className="fixed inset-0 z-30" onClick={() => setSearchOpen(false)} />
+                  <div className="absolute right-0 mt-2 w-96 max-h-[60vh] overflow-y-auto bg-zinc-900 border border-zinc-700 rounded-xl shadow-2xl z-40">
+                    {searchResults.length === 0 ? (
+                      <p className="p-4 text-sm text-zinc-500 text-center">No matching items</p>
+                    ) : (
+                      <>
+                        <p className="px-4 pt-3 pb-1 text-xs text-zinc-500 font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                          {searchResults.length} RESULT{searchResults.length === 1 ? '' : 'S'}
+                        </p>
+                        {searchResults.map(item => (
+                          <button
+                            key={item.id}
+                            onClick={() => jumpToItem(item)}
+                            className="w-full text-left px-4 py-2 hover:bg-zinc-800 transition-colors flex items-center gap-3"
+                          >
+                            <span className="text-xs text-zinc-500 w-24 shrink-0" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                              {shortDate(item.date)}
+                            </span>
+                            <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0" style={getItemColors(item.type)}>
+                              {entryLabel(itemTypes, item.type)}
+                            </span>
+                            <span className="min-w-0">
+                              <span className={`block text-sm font-semibold truncate ${gameStateClass(item)}`}>{item.title}</span>
+                              {item.assignees?.length > 0 && (
+                                <span className="block text-xs text-zinc-500 truncate">
+                                  {item.assignees.map(a => resolveAssignee(a, members).name).join(', ')}
+                                </span>
+                              )}
+                            </span>
+                          </button>
+                        ))}
+                      </>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+            <div className="flex items-center gap-2 px-3 py-1.5 bg-white/10 rounded-lg border border-white/20">
+              {user.photoURL ? (
+                <img src={user.photoURL} alt="" className="w-7 h-7 rounded-full" referrerPolicy="no-referrer" />
+              ) : (
+                <div className="w-7 h-7 rounded-full bg-red-600 flex items-center justify-center text-xs font-bold text-white">
+                  {userDisplayName(user).charAt(0).toUpperCase()}
+                </div>
+              )}
+              <span className="text-sm font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }} title={user.email || ''}>
+                {userDisplayName(user)}
+              </span>
+              <span className="text-[10px] px-1.5 py-0.5 rounded bg-zinc-800 text-zinc-400 font-semibold uppercase" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                {role}
+              </span>
+              <button
+                onClick={signOutUser}
+                className="p-1 text-zinc-400 hover:text-white transition-colors"
+                title="Sign out"
+              >
+                <LogOut size={16} />
+              </button>
+            </div>
+            <button
+              onClick={() => setShowExport(true)}
+              className="p-2.5 bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-colors"
+              title="Export to calendar (.ics)"
+            >
+              <Download size={18} />
+            </button>
+            {canAddItems && (
+              <button
+                onClick={() => setApplyingTemplate({ item: null, series: null })}
+                className="p-2.5 bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-colors"
+                title="Apply template to home games"
+              >
+                <ListChecks size={18} />
+              </button>
+            )}
+            {canManageSettings(role) && (
+              <button
+                onClick={() => setShowSettings(true)}
+                className="p-2.5 bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-colors"
+                title="Settings"
+              >
+                <Settings size={18} />
+              </button>
+            )}
+            {calendarItems.length === 0 && canCreate(role, 'game') && (
               <button
                 onClick={seedDatabase}
                 disabled={syncing}
@@ -990,20 +2674,22 @@ const SportsEditorialCalendar = () => {
                 {syncing ? 'SYNCING...' : 'LOAD SCHEDULE'}
               </button>
             )}
-            <button
-              onClick={() => {
-                setEditingItem(null);
-                setNewItem({ date: '', type: 'content', title: '', assignees: [], status: 'planned', notes: '', links: '', themes: [] });
-                setShowImportModal(true);
-              }}
-              className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-red-600 to-red-700 
-                hover:from-red-500 hover:to-red-600 text-white font-bold rounded-lg transition-all 
-                shadow-lg hover:shadow-red-500/25"
-              style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.05em' }}
-            >
-              <Plus size={18} />
-              ADD ITEM
-            </button>
+            {canAddItems && (
+              <button
+                onClick={() => {
+                  setEditingItem(null);
+                  setNewItem({ date: '', type: 'content', title: '', assignees: [], status: 'planned', notes: '', links: '', themes: [] });
+                  setShowImportModal(true);
+                }}
+                className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-red-600 to-red-700 
+                  hover:from-red-500 hover:to-red-600 text-white font-bold rounded-lg transition-all 
+                  shadow-lg hover:shadow-red-500/25"
+                style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.05em' }}
+              >
+                <Plus size={18} />
+                ADD ITEM
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1078,8 +2764,110 @@ const SportsEditorialCalendar = () => {
             >
               DAY
             </button>
+            <button
+              onClick={() => setViewMode('mywork')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                viewMode === 'mywork'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              MY WORK
+            </button>
+            <button
+              onClick={() => setViewMode('board')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                viewMode === 'board'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              BOARD
+            </button>
+            <button
+              onClick={() => setViewMode('agenda')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                viewMode === 'agenda'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              AGENDA
+            </button>
+            <button
+              onClick={() => setViewMode('season')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                viewMode === 'season'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              SEASON
+            </button>
+          </div>
+
+          {/* Game Time Zone Switcher */}
+          <div className="flex items-center gap-2 border-l border-zinc-700 pl-4">
+            <button
+              onClick={() => setTimeDisplay('pacific')}
+              className={`px-3 py-2 rounded-lg font-semibold transition-all ${
+                timeDisplay === 'pacific'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+              title="Show game times in Pacific time"
+            >
+              PACIFIC
+            </button>
+            <button
+              onClick={() => setTimeDisplay('local')}
+              className={`px-3 py-2 rounded-lg font-semibold transition-all ${
+                timeDisplay === 'local'
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+              title="Show game times in the ballpark's local time"
+            >
+              LOCAL
+            </button>
+          </div>
+
+          {/* Filter Toggle */}
+          <div className="flex items-center gap-2 border-l border-zinc-700 pl-4">
+            <button
+              onClick={() => setShowFilters(!showFilters)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg font-semibold transition-all ${
+                showFilters || activeFilterCount(filter) > 0
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              <Filter size={16} />
+              FILTERS
+              {activeFilterCount(filter) > 0 && (
+                <span className="px-1.5 rounded bg-white/20 text-xs">{activeFilterCount(filter)}</span>
+              )}
+            </button>
           </div>
         </div>
+
+        {showFilters && (
+          <FilterPanel
+            filter={filter}
+            onChange={setFilter}
+            itemTypes={itemTypes}
+            dayThemes={dayThemes}
+            members={members}
+            statusOptions={statusOptions}
+          />
+        )}
         
         {/* Legend */}
         <div className="flex items-center gap-4 flex-wrap">
@@ -1090,6 +2878,7 @@ const SportsEditorialCalendar = () => {
                 style={{ backgroundColor: type.color }}
               ></div>
               <span className="text-xs text-zinc-400 uppercase font-semibold" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                {type.emoji && <span className="mr-1">{type.emoji}</span>}
                 {type.label}
               </span>
             </div>
@@ -1117,6 +2906,14 @@ const SportsEditorialCalendar = () => {
         {viewMode === 'week' && renderWeekView()}
 
         {viewMode === 'day' && renderDayView()}
+
+        {viewMode === 'mywork' && renderMyWorkView()}
+
+        {viewMode === 'board' && renderBoardView()}
+
+        {viewMode === 'agenda' && renderAgendaView()}
+
+        {viewMode === 'season' && renderSeasonView()}
       </div>
 
       {/* Add/Edit Modal */}
@@ -1131,6 +2928,7 @@ const SportsEditorialCalendar = () => {
                 onClick={() => {
                   setShowImportModal(false);
                   setEditingItem(null);
+                  setIcsPreview(null);
                 }}
                 className="text-zinc-400 hover:text-white transition-colors"
               >
@@ -1138,8 +2936,8 @@ const SportsEditorialCalendar = () => {
               </button>
             </div>
 
-            {/* Mode Toggle */}
-            {!editingItem && (
+            {/* Mode Toggle - CSV and ICS imports create games, which only editors can add */}
+            {!editingItem && canCreate(role, 'game') && (
               <div className="flex gap-2 mb-6">
                 <button
                   onClick={() => setAddMode('single')}
@@ -1163,56 +2961,266 @@ const SportsEditorialCalendar = () => {
                 >
                   IMPORT CSV
                 </button>
+                <button
+                  onClick={() => setAddMode('ics')}
+                  className={`flex-1 py-2 rounded-lg font-semibold transition-all ${
+                    addMode === 'ics' 
+                      ? 'bg-red-600 text-white' 
+                      : 'bg-zinc-800 text-zinc-400 hover:text-white'
+                  }`}
+                  style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                >
+                  IMPORT ICS
+                </button>
               </div>
             )}
 
-            {(addMode === 'single' || editingItem) ? (
+            {(addMode === 'single' || editingItem || !canCreate(role, 'game')) ? (
               <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>DATE</label>
-                  <input
-                    type="date"
-                    value={newItem.date}
-                    onChange={(e) => setNewItem({ ...newItem, date: e.target.value })}
-                    className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
-                  />
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>TYPE</label>
-                  <div className="flex flex-wrap gap-2">
-                    {typeOptions.map(type => (
-                      <button
-                        key={type.value}
-                        onClick={() => setNewItem({ ...newItem, type: type.value })}
-                        className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
-                          newItem.type === type.value 
-                            ? 'ring-2 ring-white ring-offset-2 ring-offset-zinc-900' 
-                            : 'opacity-60 hover:opacity-100'
-                        }`}
-                        style={{ 
-                          backgroundColor: type.color,
-                          color: type.value === 'content' || type.value === 'cityconnect' ? '#27272a' : 'white',
-                          fontFamily: "'Barlow Condensed', sans-serif"
-                        }}
+                {/* Contributors editing a protected item can only change the fields below */}
+                <fieldset disabled={fieldsLocked} className="space-y-4 disabled:opacity-50">
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>DATE</label>
+                    <input
+                      type="date"
+                      value={newItem.date}
+                      onChange={(e) => setNewItem({
+                        ...newItem,
+                        // A multi-day item keeps its length when its start date moves
+                        ...(newItem.date && e.target.value ? movedDates(newItem, e.target.value) : { date: e.target.value })
+                      })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </div>
+
+                  {!isGameItem(newItem) && (
+                    <div>
+                      <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>END DATE (Optional)</label>
+                      <input
+                        type="date"
+                        value={newItem.endDate || ''}
+                        min={newItem.date}
+                        onChange={(e) => setNewItem({ ...newItem, endDate: e.target.value || null })}
+                        className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      />
+                      <p className="text-xs text-zinc-500 mt-1">For items that run several days, like a themed weekend or giveaway week</p>
+                    </div>
+                  )}
+
+                  {/* Occurrences edited on their own stay single items */}
+                  {!isGameItem(newItem) && newItem.date && !newItem.recurrenceOf && (
+                    <div>
+                      <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>REPEATS</label>
+                      <select
+                        value={recurrenceKind(newItem.recurrence)}
+                        onChange={(e) => setNewItem({ ...newItem, recurrence: ruleForKind(e.target.value, newItem.date, newItem.recurrence || {}) })}
+                        className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
                       >
-                        {type.label}
-                      </button>
-                    ))}
+                        <option value="none">Does not repeat</option>
+                        {recurrenceOptions(newItem.date).map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                        {newItem.recurrence && !recurrenceOptions(newItem.date).some(option => option.value === recurrenceKind(newItem.recurrence)) && (
+                          <option value={recurrenceKind(newItem.recurrence)}>{describeRecurrence(anchorRecurrence(newItem.recurrence, newItem.date))}</option>
+                        )}
+                      </select>
+                      {newItem.recurrence && (
+                        <div className="grid grid-cols-2 gap-4 mt-2">
+                          {recurrenceKind(newItem.recurrence) === 'weekly' ? (
+                            <div>
+                              <label className="block text-xs font-semibold text-zinc-500 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>EVERY (WEEKS)</label>
+                              <input
+                                type="number"
+                                min="1"
+                                value={newItem.recurrence.interval || 1}
+                                onChange={(e) => setNewItem({ ...newItem, recurrence: { ...newItem.recurrence, interval: Math.max(1, Number(e.target.value) || 1) } })}
+                                className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                              />
+                            </div>
+                          ) : <div />}
+                          <div>
+                            <label className="block text-xs font-semibold text-zinc-500 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>UNTIL (Optional)</label>
+                            <input
+                              type="date"
+                              value={newItem.recurrence.until || ''}
+                              min={newItem.date}
+                              onChange={(e) => setNewItem({ ...newItem, recurrence: { ...newItem.recurrence, until: e.target.value || null } })}
+                              className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                            />
+                          </div>
+                        </div>
+                      )}
+                      {isOccurrence(editingItem) ? (
+                        <p className="text-xs text-zinc-500 mt-1">You'll choose which occurrences to change when saving</p>
+                      ) : newItem.recurrence && !newItem.recurrence.until && (
+                        <p className="text-xs text-zinc-500 mt-1">Without an end date, shown for a year from the first date</p>
+                      )}
+                    </div>
+                  )}
+
+                  {!isGameItem(newItem) && seasonRanges.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>ATTACH TO SERIES (Optional)</label>
+                      <select
+                        value={newItem.seriesId || ''}
+                        onChange={(e) => attachToRange(e.target.value)}
+                        className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      >
+                        <option value="">NONE</option>
+                        {newItem.seriesId && !seasonRanges.some(range => range.id === newItem.seriesId) && (
+                          <option value={newItem.seriesId}>NO LONGER ON THE SCHEDULE</option>
+                        )}
+                        <optgroup label="SERIES">
+                          {seasonRanges.filter(range => range.kind === 'series').map(range => (
+                            <option key={range.id} value={range.id}>{range.label} ({shortDate(range.from)} - {shortDate(range.to)})</option>
+                          ))}
+                        </optgroup>
+                        <optgroup label="HOMESTANDS AND ROAD TRIPS">
+                          {seasonRanges.filter(range => range.kind !== 'series').map(range => (
+                            <option key={range.id} value={range.id}>{range.label} ({shortDate(range.from)} - {shortDate(range.to)})</option>
+                          ))}
+                        </optgroup>
+                      </select>
+                      <p className="text-xs text-zinc-500 mt-1">Attached items are listed on every day of the series</p>
+                    </div>
+                  )}
+
+                  {canHaveParent(newItem) && (
+                    <div>
+                      <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>LINKED TO (Optional)</label>
+                      <select
+                        value={newItem.parentId || ''}
+                        onChange={(e) => setNewItem({ ...newItem, parentId: e.target.value || null })}
+                        className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      >
+                        <option value="">NONE</option>
+                        {linkOptions().map(parent => (
+                          <option key={parent.id} value={parent.id}>
+                            {parent.missing ? 'DELETED ITEM' : `${shortDate(parent.date)} - ${parent.title}`}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-zinc-500 mt-1">Games, events and promos within 3 days; linked items move with them</p>
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>TYPE</label>
+                    <div className="flex flex-wrap gap-2">
+                      {(fieldsLocked ? typeOptions : creatableTypeOptions()).map(type => (
+                        <button
+                          key={type.value}
+                          onClick={() => setNewItem({ ...newItem, type: type.value })}
+                          className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                            newItem.type === type.value 
+                              ? 'ring-2 ring-white ring-offset-2 ring-offset-zinc-900' 
+                              : 'opacity-60 hover:opacity-100'
+                          }`}
+                          style={{ 
+                            backgroundColor: type.color,
+                            color: type.textColor,
+                            fontFamily: "'Barlow Condensed', sans-serif"
+                          }}
+                        >
+                          {type.label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>TITLE</label>
-                  <input
-                    type="text"
-                    value={newItem.title}
-                    onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
-                    className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
-                    placeholder="Enter title..."
-                  />
-                </div>
-                
+
+                  {isGameItem(newItem) && (
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>OPPONENT</label>
+                        <input
+                          type="text"
+                          value={newItem.opponent || ''}
+                          onChange={(e) => setNewItem({ ...newItem, opponent: e.target.value.toUpperCase() })}
+                          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                          placeholder="LAD"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>FIRST PITCH (LOCAL)</label>
+                        <input
+                          type="time"
+                          value={newItem.startTime || ''}
+                          onChange={(e) => setNewItem({ ...newItem, startTime: e.target.value || null })}
+                          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>VENUE</label>
+                        <input
+                          type="text"
+                          value={newItem.venue || ''}
+                          onChange={(e) => setNewItem({
+                            ...newItem,
+                            venue: e.target.value,
+                            timeZone: venueTimeZone(e.target.value) || newItem.timeZone
+                          })}
+                          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                          placeholder="Angel Stadium"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>GAME #</label>
+                        <select
+                          value={newItem.gameNumber || 1}
+                          onChange={(e) => setNewItem({ ...newItem, gameNumber: Number(e.target.value) })}
+                          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                        >
+                          <option value={1}>GAME 1</option>
+                          <option value={2}>GAME 2 (DOUBLEHEADER)</option>
+                        </select>
+                      </div>
+                      <div className="col-span-2">
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>GAME STATE</label>
+                        <div className="flex flex-wrap gap-2">
+                          {GAME_STATES.map(state => (
+                            <button
+                              key={state.value}
+                              onClick={() => setNewItem({ ...newItem, gameState: state.value })}
+                              className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                                gameState(newItem) === state.value
+                                  ? 'bg-red-600 text-white'
+                                  : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+                              }`}
+                              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                            >
+                              {state.label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="col-span-2">
+                        <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>VENUE TIME ZONE</label>
+                        <select
+                          value={newItem.timeZone || venueTimeZone(newItem.venue) || DEFAULT_TIME_ZONE}
+                          onChange={(e) => setNewItem({ ...newItem, timeZone: e.target.value })}
+                          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                        >
+                          {TIME_ZONE_OPTIONS.map(zone => (
+                            <option key={zone.value} value={zone.value}>{zone.label.toUpperCase()}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>TITLE</label>
+                    <input
+                      type="text"
+                      value={newItem.title}
+                      onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      placeholder="Enter title..."
+                    />
+                  </div>
+
+                </fieldset>
+
                 <div>
                   <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>NOTES</label>
                   <textarea
@@ -1258,21 +3266,24 @@ const SportsEditorialCalendar = () => {
                 <div>
                   <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>ASSIGNEES</label>
                   <div className="flex flex-wrap gap-2">
-                    {teamMembers.map(member => (
+                    {assignableMembers().map(member => (
                       <button
-                        key={member}
+                        key={member.id}
                         onClick={() => toggleAssignee(member)}
                         className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm transition-all ${
-                          newItem.assignees.includes(member)
+                          isAssigned(member)
                             ? 'bg-red-600 text-white'
                             : 'bg-zinc-800 text-zinc-400 hover:text-white'
                         }`}
                       >
                         <User size={14} />
-                        {member}
+                        {member.name}
                       </button>
                     ))}
                   </div>
+                  {members.length === 0 && (
+                    <p className="text-xs text-zinc-500 mt-2">No team members yet - an admin can add them under Settings</p>
+                  )}
                 </div>
                 
                 <div>
@@ -1297,13 +3308,13 @@ const SportsEditorialCalendar = () => {
                   {editingItem ? 'UPDATE ITEM' : 'ADD ITEM'}
                 </button>
               </div>
-            ) : (
+            ) : addMode === 'import' ? (
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
                     PASTE CSV DATA
                   </label>
-                  <p className="text-xs text-zinc-500 mb-2">Format: date,time,home/away,opponent,location</p>
+                  <p className="text-xs text-zinc-500 mb-2">First row is the header; columns are matched by name and can be changed below. Times are Pacific.</p>
                   <textarea
                     value={csvInput}
                     onChange={(e) => setCsvInput(e.target.value)}
@@ -1311,21 +3322,172 @@ const SportsEditorialCalendar = () => {
                     placeholder="date,time,home/away,opponent,location
 2026-04-03,7:07 PM,Home,Mariners,Angel Stadium"
                   />
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={async (e) => e.target.files[0] && setCsvInput(await e.target.files[0].text())}
+                    className="mt-2 w-full text-sm text-zinc-400 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-zinc-800 file:text-white file:font-semibold hover:file:bg-zinc-700"
+                  />
                 </div>
-                
+
+                <div>
+                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                    ROWS WITHOUT A TYPE COLUMN ARE
+                  </label>
+                  <select
+                    value={csvDefaultType}
+                    onChange={(e) => setCsvDefaultType(e.target.value)}
+                    className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                  >
+                    <option value={GAME_IMPORT_TYPE}>Games (home/away from each row)</option>
+                    {typeOptions.filter(t => !isGameItem({ type: t.value })).map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {csvImport.headers.length > 0 && (
+                  <div className="grid grid-cols-2 gap-2">
+                    {CSV_FIELDS.map(field => (
+                      <div key={field.key} className="flex items-center gap-2">
+                        <span className="text-xs font-semibold text-zinc-400 w-24 shrink-0" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                          {field.label}
+                        </span>
+                        <select
+                          value={csvImport.mapping[field.key]}
+                          onChange={(e) => setCsvMapping({ ...csvMapping, [field.key]: Number(e.target.value) })}
+                          className="flex-1 min-w-0 bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                        >
+                          <option value={-1}>(none)</option>
+                          {csvImport.headers.map((header, idx) => (
+                            <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {csvImport.results.length > 0 && (
+                  <div>
+                    <p className="text-sm text-zinc-400 mb-2" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                      {describeUpserts(csvImport.plan)}
+                      {csvImport.results.some(r => r.errors.length) && ' - rows with errors are skipped'}
+                    </p>
+                    <div className="max-h-64 overflow-y-auto space-y-1 bg-zinc-800 rounded-lg p-2">
+                      {csvImport.results.map(({ rowNumber, item, errors }) => (
+                        <div key={rowNumber} className="text-sm">
+                          <div className={`flex items-center gap-2 ${errors.length ? 'opacity-50' : ''}`}>
+                            <span className="text-zinc-500 w-8 shrink-0">{rowNumber}</span>
+                            <span className="text-zinc-500 w-24 shrink-0">{item.date || '-'}</span>
+                            {item.type && (
+                              <span className="px-2 py-0.5 rounded text-xs font-semibold shrink-0" style={getItemColors(item.type)}>
+                                {entryLabel(itemTypes, item.type)}
+                              </span>
+                            )}
+                            <span className="font-semibold truncate">{item.title}</span>
+                            {isGameItem(item) && errors.length === 0 && (
+                              <span className="text-zinc-500 text-xs truncate">{gameSubtitle(item, null)}</span>
+                            )}
+                            {csvImport.plan.statuses.has(item) && renderUpsertBadge(csvImport.plan.statuses.get(item))}
+                          </div>
+                          {errors.map(error => (
+                            <p key={error} className="text-xs text-red-400 ml-10">{error}</p>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 <button
                   onClick={handleImportCSV}
+                  disabled={syncing || upsertWriteCount(csvImport.plan) === 0}
+                  className="w-full py-3 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600 
+                    text-white font-bold rounded-lg transition-all disabled:opacity-50"
+                  style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
+                >
+                  {syncing ? 'IMPORTING...' : `IMPORT ${upsertWriteCount(csvImport.plan)} ROWS`}
+                </button>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                    ICALENDAR FILE
+                  </label>
+                  <p className="text-xs text-zinc-500 mb-2">Events naming an opponent become games; home/away comes from the location</p>
+                  <input
+                    type="file"
+                    accept=".ics,text/calendar"
+                    onChange={(e) => handleIcsFile(e.target.files[0])}
+                    className="w-full text-sm text-zinc-400 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-zinc-800 file:text-white file:font-semibold hover:file:bg-zinc-700"
+                  />
+                </div>
+
+                {icsPreview && (
+                  <div>
+                    <p className="text-sm text-zinc-400 mb-2" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                      {icsPreview.fileName}: {describeUpserts(icsPreview.plan)}
+                      {icsPreview.skipped.length > 0 && ` - ${icsPreview.skipped.length} skipped (no date)`}
+                    </p>
+                    <div className="max-h-64 overflow-y-auto space-y-1 bg-zinc-800 rounded-lg p-2">
+                      {icsPreview.items.map((item, idx) => (
+                        <div key={idx} className="flex items-center gap-2 text-sm">
+                          <span className="text-zinc-500 w-24 shrink-0">{item.date}</span>
+                          <span className="px-2 py-0.5 rounded text-xs font-semibold shrink-0" style={getItemColors(item.type)}>
+                            {entryLabel(itemTypes, item.type)}
+                          </span>
+                          <span className="font-semibold truncate">{item.title}</span>
+                          {isGameItem(item) && (
+                            <span className="text-zinc-500 text-xs truncate">{gameSubtitle(item, null)}</span>
+                          )}
+                          {renderUpsertBadge(icsPreview.plan.statuses.get(item))}
+                        </div>
+                      ))}
+                      {icsPreview.skipped.map((summary, idx) => (
+                        <div key={`skipped-${idx}`} className="text-sm text-zinc-500 line-through truncate">
+                          {summary}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  onClick={handleImportICS}
+                  disabled={syncing || !icsPreview || upsertWriteCount(icsPreview.plan) === 0}
                   className="w-full py-3 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600 
-                    text-white font-bold rounded-lg transition-all"
+                    text-white font-bold rounded-lg transition-all disabled:opacity-50"
                   style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
                 >
-                  IMPORT GAMES
+                  {syncing ? 'IMPORTING...' : `IMPORT ${icsPreview ? upsertWriteCount(icsPreview.plan) : 0} ITEMS`}
                 </button>
               </div>
             )}
           </div>
         </div>
       )}
+
+      {/* Drag-and-drop result, with undo or retry */}
+      {toast && (
+        <div className={`fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-5 py-3 rounded-lg shadow-2xl border ${
+          toast.error ? 'bg-red-950 border-red-700' : 'bg-zinc-900 border-zinc-700'
+        }`} style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <span className="text-sm">{toast.message}</span>
+          {toast.onAction && (
+            <button
+              onClick={() => { const action = toast.onAction; setToast(null); action(); }}
+              className="text-sm font-bold text-red-400 hover:text-red-300 transition-colors"
+            >
+              {toast.actionLabel}
+            </button>
+          )}
+          <button onClick={() => setToast(null)} className="text-zinc-500 hover:text-white transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+      )}
     </div>
   );
 };
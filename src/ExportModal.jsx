@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { X, Download, Link } from 'lucide-react';
+import { buildICalendar } from './ics';
+import { emptyFilter, filterItems, filterToQuery } from './itemFilters';
+import { sortByOrder } from './registry';
+import { sortMembers } from './members';
+
+// Base URL of scripts/ics-feed.js with its token, e.g.
+// https://feeds.example.com/calendar.ics?token=...
+const FEED_URL = import.meta.env.VITE_ICS_FEED_URL || '';
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+// Starts from the calendar's active view filter
+const ExportModal = ({ initialFilter, calendarItems, members, itemTypes, onClose }) => {
+  const [filter, setFilter] = useState(() => ({ ...emptyFilter(), ...initialFilter }));
+  const [calendarName, setCalendarName] = useState('Angels Calendar');
+  const [copied, setCopied] = useState(false);
+
+  const matching = filterItems(calendarItems, filter, members);
+
+  const feedUrl = () => {
+    const query = filterToQuery({ ...filter, name: calendarName });
+    return `${FEED_URL}${FEED_URL.includes('?') ? '&' : '?'}${query}`;
+  };
+
+  const handleDownload = () => {
+    const ics = buildICalendar(matching, { calendarName, members, itemTypes });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${calendarName.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'calendar'}.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl());
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copying feed URL:', err);
+      alert('Could not copy the feed URL.');
+    }
+  };
+
+  const chipClass = (active) =>
+    `px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+      active ? 'bg-red-600 text-white' : 'bg-zinc-800 text-zinc-400 hover:text-white'
+    }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-zinc-900 rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto border border-zinc-700">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center gap-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            <Download size={22} />
+            EXPORT CALENDAR
+          </h3>
+          <button onClick={onClose} className="text-zinc-400 hover:text-white transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-5" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <div>
+            <label className="block text-sm font-semibold text-zinc-400 mb-2">CALENDAR NAME</label>
+            <input
+              type="text"
+              value={calendarName}
+              onChange={(e) => { setCalendarName(e.target.value); setCopied(false); }}
+              className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-zinc-400 mb-2">TYPES</label>
+            <div className="flex flex-wrap gap-2">
+              {sortByOrder(itemTypes).map(type => (
+                <button
+                  key={type.value}
+                  onClick={() => { setFilter({ ...filter, types: toggle(filter.types, type.value) }); setCopied(false); }}
+                  className={chipClass(filter.types.includes(type.value))}
+                >
+                  {type.emoji} {type.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-zinc-400 mb-2">ASSIGNED TO</label>
+            <div className="flex flex-wrap gap-2">
+              {sortMembers(members).map(member => (
+                <button
+                  key={member.id}
+                  onClick={() => { setFilter({ ...filter, assignees: toggle(filter.assignees, member.id) }); setCopied(false); }}
+                  className={chipClass(filter.assignees.includes(member.id))}
+                >
+                  {member.name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-zinc-400 mb-2">FROM</label>
+              <input
+                type="date"
+                value={filter.from}
+                onChange={(e) => { setFilter({ ...filter, from: e.target.value }); setCopied(false); }}
+                className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-zinc-400 mb-2">TO</label>
+              <input
+                type="date"
+                value={filter.to}
+                onChange={(e) => { setFilter({ ...filter, to: e.target.value }); setCopied(false); }}
+                className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+            </div>
+          </div>
+
+          <p className="text-sm text-zinc-400">
+            {matching.length} item{matching.length === 1 ? '' : 's'} match. Leave a section empty to include everything.
+            {(filter.statuses.length > 0 || filter.themes.length > 0 || filter.homeAway.length > 0) &&
+              ' Status, theme and home/away filters from the calendar view also apply.'}
+          </p>
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleDownload}
+              disabled={matching.length === 0}
+              className="flex-1 flex items-center justify-center gap-2 py-3 bg-red-600 hover:bg-red-500 rounded-lg font-bold transition-colors disabled:opacity-50"
+            >
+              <Download size={18} />
+              DOWNLOAD .ICS
+            </button>
+            {FEED_URL && (
+              <button
+                onClick={handleCopyFeed}
+                className="flex-1 flex items-center justify-center gap-2 py-3 bg-zinc-800 hover:bg-zinc-700 rounded-lg font-bold transition-colors"
+              >
+                <Link size={18} />
+                {copied ? 'COPIED!' : 'COPY FEED URL'}
+              </button>
+            )}
+          </div>
+          {FEED_URL && (
+            <p className="text-xs text-zinc-500">
+              Subscribe to the feed URL in Google Calendar or Outlook to keep these items up to date.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { emptyFilter, isFilterActive } from './itemFilters';
+import { sortByOrder } from './registry';
+import { sortMembers } from './members';
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+// Multi-select filter chips shown under the view switcher; applies to every view
+const FilterPanel = ({ filter, onChange, itemTypes, dayThemes, members, statusOptions }) => {
+  const sections = [
+    { key: 'types', label: 'TYPE', options: sortByOrder(itemTypes).map(t => ({ value: t.value, label: `${t.emoji ? `${t.emoji} ` : ''}${t.label}` })) },
+    { key: 'statuses', label: 'STATUS', options: statusOptions.map(s => ({ value: s, label: s.toUpperCase() })) },
+    { key: 'assignees', label: 'ASSIGNEE', options: sortMembers(members).map(m => ({ value: m.id, label: m.name })) },
+    { key: 'themes', label: 'THEME', options: sortByOrder(dayThemes).map(t => ({ value: t.value, label: `${t.emoji ? `${t.emoji} ` : ''}${t.label}` })) },
+    { key: 'homeAway', label: 'GAMES', options: [{ value: 'home', label: 'HOME' }, { value: 'away', label: 'AWAY' }] }
+  ];
+
+  return (
+    <div className="bg-zinc-900/60 border border-zinc-800 rounded-xl p-4 mb-4 space-y-3" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+      {sections.map(section => (
+        <div key={section.key} className="flex items-start gap-3">
+          <span className="text-xs font-semibold text-zinc-500 w-20 shrink-0 pt-1.5">{section.label}</span>
+          <div className="flex flex-wrap gap-1.5">
+            {section.options.map(option => (
+              <button
+                key={option.value}
+                onClick={() => onChange({ ...filter, [section.key]: toggle(filter[section.key], option.value) })}
+                className={`px-2.5 py-1 rounded-md text-xs font-semibold transition-all ${
+                  filter[section.key].includes(option.value)
+                    ? 'bg-red-600 text-white'
+                    : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      {isFilterActive(filter) && (
+        <button
+          onClick={() => onChange(emptyFilter())}
+          className="flex items-center gap-1 text-xs font-semibold text-zinc-400 hover:text-white transition-colors"
+        >
+          <X size={12} />
+          CLEAR FILTERS
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterPanel;
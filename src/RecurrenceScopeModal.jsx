@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { X, Repeat } from 'lucide-react';
+import { describeRecurrence } from './recurrence';
+import { parseDateStr } from './dates';
+
+const longDate = (dateStr) =>
+  parseDateStr(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+// Asks which occurrences of a recurring item an edit or delete applies to.
+// `scopes` are the RECURRENCE_SCOPES the role may use.
+const RecurrenceScopeModal = ({ action, item, scopes, onChoose, onClose }) => {
+  const [saving, setSaving] = useState(false);
+
+  const handleChoose = async (scope) => {
+    setSaving(true);
+    await onChoose(scope);
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-[60] p-4">
+      <div className="bg-zinc-900 rounded-2xl p-6 w-full max-w-sm border border-zinc-700">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center gap-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            <Repeat size={22} />
+            {action === 'delete' ? 'DELETE RECURRING ITEM' : 'EDIT RECURRING ITEM'}
+          </h3>
+          <button onClick={onClose} className="text-zinc-400 hover:text-white transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <div className="bg-zinc-800 rounded-lg p-3">
+            <p className="font-bold uppercase">{item.title}</p>
+            <p className="text-sm text-zinc-400">{longDate(item.occurrenceDate)} - {describeRecurrence(item.recurrence)}</p>
+          </div>
+
+          <div className="space-y-2">
+            {scopes.map(scope => (
+              <button
+                key={scope.value}
+                onClick={() => handleChoose(scope.value)}
+                disabled={saving}
+                className={`w-full py-2.5 rounded-lg font-bold transition-colors disabled:opacity-50 ${
+                  action === 'delete' ? 'bg-zinc-800 hover:bg-red-600' : 'bg-zinc-800 hover:bg-zinc-700'
+                }`}
+              >
+                {scope.label}
+              </button>
+            ))}
+          </div>
+
+          {scopes.length === 1 && (
+            <p className="text-xs text-zinc-500">Your role can only change every occurrence of this item.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurrenceScopeModal;
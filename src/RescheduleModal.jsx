@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { X, CalendarClock } from 'lucide-react';
+import { entryStyle, entryLabel } from './registry';
+import { parseDateStr } from './dates';
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+const longDate = (dateStr) =>
+  parseDateStr(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+// Moves a game (a rainout's makeup date, say) together with the content items
+// linked to it. `selectedIds` of `linkedItems` start out checked; each checked
+// item moves by the same number of days as the game.
+const RescheduleModal = ({ game, linkedItems, selectedIds, itemTypes, onConfirm, onClose }) => {
+  const [date, setDate] = useState('');
+  const [startTime, setStartTime] = useState(game.startTime || '');
+  const [moveIds, setMoveIds] = useState(selectedIds);
+  const [saving, setSaving] = useState(false);
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    await onConfirm({ date, startTime: startTime || null, moveIds });
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-zinc-900 rounded-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto border border-zinc-700">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center gap-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            <CalendarClock size={22} />
+            RESCHEDULE GAME
+          </h3>
+          <button onClick={onClose} className="text-zinc-400 hover:text-white transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-5" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          <div className="bg-zinc-800 rounded-lg p-3">
+            <p className="font-bold uppercase">{game.title}</p>
+            <p className="text-sm text-zinc-400">
+              Now {longDate(game.date)}
+              {game.original && game.original.date !== game.date && ` - originally ${longDate(game.original.date)}`}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-zinc-400 mb-2">NEW DATE</label>
+              <input
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-zinc-400 mb-2">FIRST PITCH (LOCAL)</label>
+              <input
+                type="time"
+                value={startTime}
+                onChange={(e) => setStartTime(e.target.value)}
+                className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-zinc-400 mb-2">MOVE LINKED ITEMS</label>
+            {linkedItems.length === 0 ? (
+              <p className="text-sm text-zinc-500">No content is linked to this game or on its day.</p>
+            ) : (
+              <div className="space-y-1.5">
+                {linkedItems.map(item => (
+                  <label key={item.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={moveIds.includes(item.id)}
+                      onChange={() => setMoveIds(toggle(moveIds, item.id))}
+                      className="accent-red-600"
+                    />
+                    <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0" style={entryStyle(itemTypes, item.type)}>
+                      {entryLabel(itemTypes, item.type)}
+                    </span>
+                    <span className="truncate">{item.title}</span>
+                    {item.date !== game.date && <span className="text-xs text-zinc-500 shrink-0 ml-auto">{longDate(item.date)}</span>}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <p className="text-sm text-zinc-400">
+            The game keeps its assignees and notes and is marked scheduled again. Its original date is kept on the item.
+          </p>
+
+          <button
+            onClick={handleConfirm}
+            disabled={saving || !date || date === game.date}
+            className="w-full py-3 bg-red-600 hover:bg-red-500 rounded-lg font-bold transition-colors disabled:opacity-50"
+          >
+            {saving ? 'SAVING...' : `RESCHEDULE${moveIds.length ? ` WITH ${moveIds.length} ITEM${moveIds.length === 1 ? '' : 'S'}` : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleModal;
@@ -0,0 +1,727 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Edit2, Trash2, Settings } from 'lucide-react';
+import { db } from './firebase';
+import { collection, doc, onSnapshot, writeBatch, setDoc, deleteDoc } from 'firebase/firestore';
+import { auditFields } from './auth';
+import { ROLES, DEFAULT_ROLE } from './permissions';
+import { DEFAULT_MEMBERS, MEMBER_COLORS, emptyMember, memberInitials, sortMembers, resolveAssignee } from './members';
+import { DEFAULT_ITEM_TYPES, DEFAULT_DAY_THEMES, CORE_ITEM_TYPES, REGISTRY_DOCS, sortByOrder, registryKey, emptyEntry, entryStyle, entryLabel } from './registry';
+import { findDuplicateGroups, mergeDuplicateGroup } from './duplicates';
+import { canHaveParent } from './linkedItems';
+import { TEMPLATES_COLLECTION, TEMPLATE_TOKENS, emptyTemplate, emptyTemplateItem, sortTemplates } from './templates';
+
+// Editor for one registry (item types or day themes) stored at settings/{docId}.
+// Entries whose key is in `coreKeys` cannot be removed.
+const RegistryEditor = ({ user, docId, entries, defaults, usageCount, coreKeys = [] }) => {
+  const [draft, setDraft] = useState(() => sortByOrder(entries));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDraft(sortByOrder(entries));
+  }, [entries]);
+
+  const updateEntry = (idx, changes) => {
+    setDraft(draft.map((entry, i) => (i === idx ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleSave = async () => {
+    const normalized = draft.map(entry => ({
+      ...entry,
+      value: entry.value || registryKey(entry.label),
+      sortOrder: Number(entry.sortOrder) || 0
+    }));
+    const values = normalized.map(e => e.value);
+    if (values.some(v => !v)) {
+      setError('Every entry needs a label.');
+      return;
+    }
+    if (new Set(values).size !== values.length) {
+      setError('Two entries share the same key - rename one of them.');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      await setDoc(doc(db, 'settings', docId), { entries: sortByOrder(normalized), ...auditFields(user) });
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      setError('Error saving. Please try again.');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="space-y-3">
+      {draft.map((entry, idx) => {
+        const used = entry.value ? usageCount(entry.value) : 0;
+        const core = coreKeys.includes(entry.value);
+        return (
+          <div key={idx} className="flex items-center gap-2 bg-zinc-800 rounded-lg p-2">
+            <input
+              type="number"
+              value={entry.sortOrder}
+              onChange={(e) => updateEntry(idx, { sortOrder: e.target.value })}
+              className="w-14 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              title="Sort order"
+            />
+            <input
+              type="text"
+              value={entry.emoji}
+              onChange={(e) => updateEntry(idx, { emoji: e.target.value })}
+              className="w-12 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-red-500"
+              placeholder="🙂"
+              title="Emoji"
+            />
+            <input
+              type="text"
+              value={entry.label}
+              onChange={(e) => updateEntry(idx, { label: e.target.value })}
+              className="flex-1 min-w-0 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              placeholder="Label"
+            />
+            <input
+              type="color"
+              value={entry.color}
+              onChange={(e) => updateEntry(idx, { color: e.target.value })}
+              className="w-8 h-8 bg-transparent cursor-pointer"
+              title="Background color"
+            />
+            <input
+              type="color"
+              value={entry.textColor}
+              onChange={(e) => updateEntry(idx, { textColor: e.target.value })}
+              className="w-8 h-8 bg-transparent cursor-pointer"
+              title="Text color"
+            />
+            <span
+              className="text-xs px-2 py-1 rounded font-semibold uppercase w-24 truncate text-center"
+              style={{ backgroundColor: entry.color, color: entry.textColor, fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              {entry.label || 'Preview'}
+            </span>
+            <button
+              onClick={() => setDraft(draft.filter((_, i) => i !== idx))}
+              disabled={core || used > 0}
+              className="p-2 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors disabled:opacity-30 disabled:hover:bg-zinc-700"
+              title={core ? 'Built-in type' : used > 0 ? `In use by ${used} item(s)` : 'Remove'}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        );
+      })}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => setDraft([...draft, emptyEntry(draft)])}
+          className="flex items-center gap-2 px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+          style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        >
+          <Plus size={16} />
+          ADD
+        </button>
+        <button
+          onClick={() => setDraft(sortByOrder(defaults))}
+          className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+          style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+        >
+          RESET TO DEFAULTS
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 py-2 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600
+            text-white font-bold rounded-lg transition-all disabled:opacity-50"
+          style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
+        >
+          {saving ? 'SAVING...' : 'SAVE'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Items sharing a natural key (date + type + title + game number), each group
+// mergeable into its oldest item
+const DuplicatesPanel = ({ user, calendarItems, members, itemTypes, statusOptions }) => {
+  const [merging, setMerging] = useState(false);
+  const groups = findDuplicateGroups(calendarItems);
+
+  const mergeGroups = async (toMerge) => {
+    if (merging) return;
+    const removeCount = toMerge.reduce((sum, group) => sum + group.length - 1, 0);
+    if (!confirm(`Merge ${toMerge.length} group(s) and delete ${removeCount} duplicate item(s)?`)) return;
+
+    setMerging(true);
+    try {
+      // Keep each group in one batch so a merge never half-applies. Linked items
+      // that are themselves duplicates being deleted are left alone.
+      const removed = new Set(toMerge.flatMap(group => group.slice(1).map(item => item.id)));
+      let batch = writeBatch(db);
+      let writes = 0;
+      for (const group of toMerge) {
+        const { keep, changes, removeIds, repoints } = mergeDuplicateGroup(group, statusOptions, calendarItems);
+        const updates = repoints.filter(({ id }) => !removed.has(id));
+        if (writes + group.length + updates.length > 500) {
+          await batch.commit();
+          batch = writeBatch(db);
+          writes = 0;
+        }
+        batch.update(doc(db, 'calendarItems', keep.id), { ...changes, ...auditFields(user) });
+        updates.forEach(({ id, data }) => batch.update(doc(db, 'calendarItems', id), { ...data, ...auditFields(user) }));
+        removeIds.forEach(id => batch.delete(doc(db, 'calendarItems', id)));
+        writes += group.length + updates.length;
+      }
+      await batch.commit();
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      alert('Error merging duplicates. Please try again.');
+    }
+    setMerging(false);
+  };
+
+  if (groups.length === 0) {
+    return <p className="text-center py-6 text-zinc-500">No duplicate items found</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-zinc-400" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          {groups.length} group(s) share a date, type, title and game number. Merging keeps the oldest item and folds
+          in the others' assignees, themes, notes, links and furthest status.
+        </p>
+        <button
+          onClick={() => mergeGroups(groups)}
+          disabled={merging}
+          className="shrink-0 ml-3 px-4 py-2 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600
+            text-white font-bold rounded-lg transition-all disabled:opacity-50"
+          style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.05em' }}
+        >
+          {merging ? 'MERGING...' : 'MERGE ALL'}
+        </button>
+      </div>
+      {groups.map(group => (
+        <div key={group[0].id} className="bg-zinc-800 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-2">
+            <span className="px-2 py-0.5 rounded text-xs font-semibold" style={entryStyle(itemTypes, group[0].type)}>
+              {entryLabel(itemTypes, group[0].type)}
+            </span>
+            <span className="font-semibold">{group[0].title}</span>
+            <span className="text-sm text-zinc-500">{group[0].date}</span>
+            <button
+              onClick={() => mergeGroups([group])}
+              disabled={merging}
+              className="ml-auto px-3 py-1 bg-zinc-700 hover:bg-zinc-600 rounded text-sm font-semibold transition-colors disabled:opacity-50"
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              MERGE {group.length}
+            </button>
+          </div>
+          {group.map((item, idx) => (
+            <div key={item.id} className="flex items-center gap-2 text-xs text-zinc-400 pl-2">
+              <span className={idx === 0 ? 'text-green-400 font-semibold' : ''}>{idx === 0 ? 'KEEP' : 'MERGE'}</span>
+              <span>{item.status}</span>
+              <span className="truncate">
+                {(item.assignees || []).map(a => resolveAssignee(a, members).name).join(', ') || 'Unassigned'}
+              </span>
+              <span className="ml-auto">{item.createdBy?.name || ''}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Content templates (templates collection): a name and a list of child items,
+// each with a default type, assignee, day offset from the parent and notes
+const TemplatesEditor = ({ user, templates, members, itemTypes }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateItem = (idx, changes) => {
+    setDraft({ ...draft, items: draft.items.map((item, i) => (i === idx ? { ...item, ...changes } : item)) });
+  };
+
+  const handleSave = async () => {
+    const items = draft.items
+      .map(item => ({ ...item, title: item.title.trim(), dayOffset: Number(item.dayOffset) || 0 }))
+      .filter(item => item.title);
+    if (!draft.name.trim() || items.length === 0) {
+      setError('A template needs a name and at least one titled item.');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      const { id, ...data } = draft;
+      const templateRef = id ? doc(db, TEMPLATES_COLLECTION, id) : doc(collection(db, TEMPLATES_COLLECTION));
+      await setDoc(templateRef, { ...data, name: data.name.trim(), items, ...auditFields(user, !id) }, { merge: true });
+      setDraft(null);
+    } catch (err) {
+      console.error('Error saving template:', err);
+      setError('Error saving. Please try again.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" template? Items already created from it are kept.`)) return;
+    try {
+      await deleteDoc(doc(db, TEMPLATES_COLLECTION, template.id));
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      alert('Error deleting template. Please try again.');
+    }
+  };
+
+  if (draft) {
+    return (
+      <div className="space-y-3">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+          placeholder="Home game checklist"
+        />
+        <p className="text-xs text-zinc-500">
+          Day offset counts from the game or item the template is applied to (-1 is the day before).
+          Titles may use {TEMPLATE_TOKENS.join(' and ')}.
+        </p>
+        {draft.items.map((item, idx) => (
+          <div key={idx} className="bg-zinc-800 rounded-lg p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                value={item.dayOffset}
+                onChange={(e) => updateItem(idx, { dayOffset: e.target.value })}
+                className="w-16 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                title="Day offset"
+              />
+              <input
+                type="text"
+                value={item.title}
+                onChange={(e) => updateItem(idx, { title: e.target.value })}
+                className="flex-1 min-w-0 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                placeholder="{title} recap"
+              />
+              <select
+                value={item.type}
+                onChange={(e) => updateItem(idx, { type: e.target.value })}
+                className="bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              >
+                {sortByOrder(itemTypes).filter(type => canHaveParent({ type: type.value })).map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <select
+                value={item.assignees?.[0] || ''}
+                onChange={(e) => updateItem(idx, { assignees: e.target.value ? [e.target.value] : [] })}
+                className="w-32 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              >
+                <option value="">Unassigned</option>
+                {sortMembers(members).map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setDraft({ ...draft, items: draft.items.filter((_, i) => i !== idx) })}
+                className="p-2 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+                title="Remove"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <input
+              type="text"
+              value={item.notes}
+              onChange={(e) => updateItem(idx, { notes: e.target.value })}
+              className="w-full bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              placeholder="Notes"
+            />
+          </div>
+        ))}
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => setDraft({ ...draft, items: [...draft.items, emptyTemplateItem()] })}
+            className="flex items-center gap-2 px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+            style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+          >
+            <Plus size={16} />
+            ADD ITEM
+          </button>
+          <button
+            onClick={() => { setDraft(null); setError(''); }}
+            className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+            style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+          >
+            CANCEL
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 py-2 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600
+              text-white font-bold rounded-lg transition-all disabled:opacity-50"
+            style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
+          >
+            {saving ? 'SAVING...' : 'SAVE'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {sortTemplates(templates).map(template => (
+        <div key={template.id} className="flex items-center gap-3 bg-zinc-800 rounded-lg p-3">
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold">{template.name}</p>
+            <p className="text-xs text-zinc-500 truncate">{(template.items || []).map(item => item.title).join(', ')}</p>
+          </div>
+          <button
+            onClick={() => setDraft({ ...template, items: (template.items || []).map(item => ({ ...emptyTemplateItem(), ...item })) })}
+            className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+          >
+            <Edit2 size={14} />
+          </button>
+          <button
+            onClick={() => handleDelete(template)}
+            className="p-2 bg-zinc-700 hover:bg-red-600 rounded-lg text-zinc-300 hover:text-white transition-colors"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+      {templates.length === 0 && <p className="text-center py-4 text-zinc-500">No templates yet</p>}
+      <button
+        onClick={() => setDraft(emptyTemplate())}
+        className="flex items-center gap-2 px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+        style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+      >
+        <Plus size={16} />
+        NEW TEMPLATE
+      </button>
+    </div>
+  );
+};
+
+// Admin-only settings: team roster (members collection), the item type /
+// day theme registry (settings collection), content templates and duplicate cleanup
+const SettingsModal = ({ user, members, itemTypes, dayThemes, templates, calendarItems, statusOptions, onClose }) => {
+  const [tab, setTab] = useState('team');
+  const [accounts, setAccounts] = useState([]);
+  const [editingMember, setEditingMember] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Signed-in accounts (users collection) that a member can be linked to
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, 'users'), (snapshot) => {
+      setAccounts(snapshot.docs.map(d => ({ ...d.data(), uid: d.id })));
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleSaveMember = async () => {
+    if (!editingMember?.name?.trim() || saving) return;
+    setSaving(true);
+
+    try {
+      const { id, ...data } = editingMember;
+      const memberRef = id ? doc(db, 'members', id) : doc(collection(db, 'members'));
+      const memberData = {
+        ...data,
+        name: data.name.trim(),
+        initials: (data.initials || memberInitials(data.name)).toUpperCase().slice(0, 3),
+        uid: data.uid || null,
+        ...auditFields(user, !id)
+      };
+
+      // The linked account's users/{uid} doc is what firestore.rules checks. An
+      // account that is unlinked, or whose member is deactivated, drops back to
+      // the default role.
+      const previousUid = members.find(member => member.id === id)?.uid || null;
+      const batch = writeBatch(db);
+      batch.set(memberRef, memberData, { merge: true });
+      if (previousUid && previousUid !== memberData.uid) {
+        batch.update(doc(db, 'users', previousUid), { role: DEFAULT_ROLE });
+      }
+      if (memberData.uid) {
+        batch.update(doc(db, 'users', memberData.uid), { role: memberData.active === false ? DEFAULT_ROLE : memberData.role });
+      }
+      await batch.commit();
+      setEditingMember(null);
+    } catch (error) {
+      console.error('Error saving member:', error);
+      alert('Error saving team member. Please try again.');
+    }
+
+    setSaving(false);
+  };
+
+  const handleLoadDefaultRoster = async () => {
+    try {
+      const batch = writeBatch(db);
+      DEFAULT_MEMBERS.forEach(({ id, ...member }) => {
+        batch.set(doc(db, 'members', id), { ...member, uid: null, ...auditFields(user, true) });
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error loading default roster:', error);
+      alert('Error loading the default roster. Please try again.');
+    }
+  };
+
+  const accountLabel = (uid) => {
+    const account = accounts.find(a => a.uid === uid);
+    return account ? (account.email || account.name) : null;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-zinc-900 rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto border border-zinc-700">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center gap-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            <Settings size={22} />
+            SETTINGS
+          </h3>
+          <button onClick={onClose} className="text-zinc-400 hover:text-white transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6">
+          {[['team', 'TEAM'], ['types', 'ITEM TYPES'], ['themes', 'DAY THEMES'], ['templates', 'TEMPLATES'], ['duplicates', 'DUPLICATES']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setTab(value)}
+              className={`flex-1 py-2 rounded-lg font-semibold transition-all ${
+                tab === value
+                  ? 'bg-red-600 text-white'
+                  : 'bg-zinc-800 text-zinc-400 hover:text-white'
+              }`}
+              style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'types' && (
+          <RegistryEditor
+            user={user}
+            docId={REGISTRY_DOCS.itemTypes}
+            entries={itemTypes}
+            defaults={DEFAULT_ITEM_TYPES}
+            coreKeys={CORE_ITEM_TYPES}
+            usageCount={(value) => calendarItems.filter(item => item.type === value).length}
+          />
+        )}
+
+        {tab === 'themes' && (
+          <RegistryEditor
+            user={user}
+            docId={REGISTRY_DOCS.dayThemes}
+            entries={dayThemes}
+            defaults={DEFAULT_DAY_THEMES}
+            usageCount={(value) => calendarItems.filter(item => item.themes?.includes(value)).length}
+          />
+        )}
+
+        {tab === 'templates' && (
+          <TemplatesEditor
+            user={user}
+            templates={templates}
+            members={members}
+            itemTypes={itemTypes}
+          />
+        )}
+
+        {tab === 'duplicates' && (
+          <DuplicatesPanel
+            user={user}
+            calendarItems={calendarItems}
+            members={members}
+            itemTypes={itemTypes}
+            statusOptions={statusOptions}
+          />
+        )}
+
+        {tab === 'team' && (
+          <>
+
+            {/* Member form */}
+            {editingMember ? (
+              <div className="space-y-4 bg-zinc-800/50 rounded-lg p-4 mb-6">
+                <div className="grid grid-cols-3 gap-3">
+                  <div className="col-span-2">
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>DISPLAY NAME</label>
+                    <input
+                      type="text"
+                      value={editingMember.name}
+                      onChange={(e) => setEditingMember({ ...editingMember, name: e.target.value })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      placeholder="Hannah"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>INITIALS</label>
+                    <input
+                      type="text"
+                      value={editingMember.initials}
+                      onChange={(e) => setEditingMember({ ...editingMember, initials: e.target.value.toUpperCase() })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      placeholder={memberInitials(editingMember.name) || 'HK'}
+                      maxLength={3}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>AVATAR COLOR</label>
+                  <div className="flex flex-wrap gap-2">
+                    {MEMBER_COLORS.map(color => (
+                      <button
+                        key={color}
+                        onClick={() => setEditingMember({ ...editingMember, color })}
+                        className={`w-8 h-8 rounded-full transition-all ${
+                          editingMember.color === color ? 'ring-2 ring-white ring-offset-2 ring-offset-zinc-900' : 'opacity-60 hover:opacity-100'
+                        }`}
+                        style={{ backgroundColor: color }}
+                      />
+                    ))}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>ROLE</label>
+                    <select
+                      value={editingMember.role}
+                      onChange={(e) => setEditingMember({ ...editingMember, role: e.target.value })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    >
+                      {ROLES.map(r => (
+                        <option key={r} value={r}>{r.toUpperCase()}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-1" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>LINKED ACCOUNT</label>
+                    <select
+                      value={editingMember.uid || ''}
+                      onChange={(e) => setEditingMember({ ...editingMember, uid: e.target.value || null })}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    >
+                      <option value="">NOT LINKED</option>
+                      {accounts.map(account => (
+                        <option key={account.uid} value={account.uid}>{account.email || account.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-zinc-300">
+                  <input
+                    type="checkbox"
+                    checked={editingMember.active}
+                    onChange={(e) => setEditingMember({ ...editingMember, active: e.target.checked })}
+                    className="accent-red-600"
+                  />
+                  Active (shown in the assignee picker)
+                </label>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSaveMember}
+                    disabled={saving}
+                    className="flex-1 py-2 bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600
+                      text-white font-bold rounded-lg transition-all disabled:opacity-50"
+                    style={{ fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: '0.1em' }}
+                  >
+                    {editingMember.id ? 'UPDATE MEMBER' : 'ADD MEMBER'}
+                  </button>
+                  <button
+                    onClick={() => setEditingMember(null)}
+                    className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex gap-2 mb-6">
+                <button
+                  onClick={() => setEditingMember(emptyMember())}
+                  className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
+                  style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                >
+                  <Plus size={16} />
+                  ADD MEMBER
+                </button>
+                {members.length === 0 && (
+                  <button
+                    onClick={handleLoadDefaultRoster}
+                    className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 text-white rounded-lg font-semibold transition-colors"
+                    style={{ fontFamily: "'Barlow Condensed', sans-serif" }}
+                  >
+                    LOAD DEFAULT ROSTER
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Roster */}
+            <div className="space-y-2">
+              {sortMembers(members).map(member => (
+                <div
+                  key={member.id}
+                  className={`flex items-center gap-3 bg-zinc-800 rounded-lg p-3 group ${member.active ? '' : 'opacity-50'}`}
+                >
+                  <div
+                    className="w-9 h-9 rounded-full flex items-center justify-center text-sm font-bold text-white shrink-0"
+                    style={{ backgroundColor: member.color }}
+                  >
+                    {member.initials}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-white font-semibold truncate">{member.name}</div>
+                    <div className="text-xs text-zinc-500 truncate">
+                      {accountLabel(member.uid) || 'No linked account'}{member.active ? '' : ' - inactive'}
+                    </div>
+                  </div>
+                  <span className="text-[10px] px-1.5 py-0.5 rounded bg-zinc-700 text-zinc-300 font-semibold uppercase" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+                    {member.role}
+                  </span>
+                  <button
+                    onClick={() => setEditingMember({ ...emptyMember(), ...member })}
+                    className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-zinc-300 hover:text-white transition-colors opacity-0 group-hover:opacity-100"
+                  >
+                    <Edit2 size={14} />
+                  </button>
+                </div>
+              ))}
+              {members.length === 0 && (
+                <p className="text-center py-6 text-zinc-500">No team members yet</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
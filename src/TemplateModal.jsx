@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { X, ListChecks } from 'lucide-react';
+import { entryStyle, entryLabel } from './registry';
+import { parseDateStr } from './dates';
+import { TEMPLATE_TARGETS, sortTemplates, templateTargets, expandTemplate } from './templates';
+
+const shortDate = (dateStr) =>
+  parseDateStr(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// Applies a content template to one item, every game of its series, or every
+// home game in a date range. `item` and `series` are optional; targets that
+// need them are hidden without them. onApply receives the expanded items.
+const TemplateModal = ({ templates, item, series, calendarItems, itemTypes, onApply, onClose }) => {
+  const targets = TEMPLATE_TARGETS.filter(t =>
+    (t.value !== 'item' || item) && (t.value !== 'series' || (series && series.games.length > 1)));
+  const [templateId, setTemplateId] = useState(sortTemplates(templates)[0]?.id || '');
+  const [target, setTarget] = useState(targets[0].value);
+  const [from, setFrom] = useState(item?.date || '');
+  const [to, setTo] = useState(series?.to || item?.date || '');
+  const [saving, setSaving] = useState(false);
+
+  const template = templates.find(t => t.id === templateId);
+  const parents = templateTargets(calendarItems, target, { item, series, from, to });
+  const { items, skipped } = template ? expandTemplate(template, parents, calendarItems) : { items: [], skipped: 0 };
+
+  const handleApply = async () => {
+    setSaving(true);
+    await onApply({ template, items });
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-zinc-900 rounded-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto border border-zinc-700">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center gap-2" style={{ fontFamily: "'Oswald', sans-serif" }}>
+            <ListChecks size={22} />
+            APPLY TEMPLATE
+          </h3>
+          <button onClick={onClose} className="text-zinc-400 hover:text-white transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-5" style={{ fontFamily: "'Barlow Condensed', sans-serif" }}>
+          {templates.length === 0 ? (
+            <p className="text-sm text-zinc-500">No templates yet. An admin can add them under Settings &gt; Templates.</p>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-semibold text-zinc-400 mb-2">TEMPLATE</label>
+                <select
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                  className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                >
+                  {sortTemplates(templates).map(t => (
+                    <option key={t.id} value={t.id}>{t.name} ({(t.items || []).length})</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-zinc-400 mb-2">APPLY TO</label>
+                <div className="flex flex-wrap gap-2">
+                  {targets.map(t => (
+                    <button
+                      key={t.value}
+                      onClick={() => setTarget(t.value)}
+                      className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${
+                        target === t.value ? 'bg-red-600 text-white' : 'bg-zinc-800 text-zinc-400 hover:text-white hover:bg-zinc-700'
+                      }`}
+                    >
+                      {t.value === 'series' ? `${t.label} (${series.games.length} GAMES)` : t.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {target === 'range' && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-2">FROM</label>
+                    <input
+                      type="date"
+                      value={from}
+                      onChange={(e) => setFrom(e.target.value)}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-zinc-400 mb-2">TO</label>
+                    <input
+                      type="date"
+                      value={to}
+                      onChange={(e) => setTo(e.target.value)}
+                      className="w-full bg-zinc-800 border border-zinc-700 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-semibold text-zinc-400 mb-2">
+                  {items.length} NEW ITEM{items.length === 1 ? '' : 'S'} FOR {parents.length} {parents.length === 1 ? 'PARENT' : 'PARENTS'}
+                </label>
+                {skipped > 0 && (
+                  <p className="text-xs text-zinc-500 mb-2">{skipped} already linked and skipped.</p>
+                )}
+                <div className="space-y-1.5 max-h-60 overflow-y-auto">
+                  {items.map((entry, idx) => (
+                    <div key={idx} className="flex items-center gap-2 text-sm">
+                      <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0" style={entryStyle(itemTypes, entry.type)}>
+                        {entryLabel(itemTypes, entry.type)}
+                      </span>
+                      <span className="truncate">{entry.title}</span>
+                      <span className="text-xs text-zinc-500 shrink-0 ml-auto">{shortDate(entry.date)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <button
+                onClick={handleApply}
+                disabled={saving || items.length === 0}
+                className="w-full py-3 bg-red-600 hover:bg-red-500 rounded-lg font-bold transition-colors disabled:opacity-50"
+              >
+                {saving ? 'SAVING...' : `CREATE ${items.length} ITEM${items.length === 1 ? '' : 'S'}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateModal;
@@ -0,0 +1,32 @@
+// Agenda view: one row per date with items, the day's games pulled out as its header.
+import { isGameItem, compareItemsForDay } from './gameFields.js';
+import { addDays } from './dates.js';
+import { itemEndDate } from './spans.js';
+
+// Days added each time the agenda is scrolled to the bottom
+export const AGENDA_PAGE_DAYS = 30;
+
+// [{ date, games, items }] in date order for each date from..to (inclusive)
+// that has anything on it; `items` holds everything that is not a game. A
+// multi-day item is listed on every day it covers, as in the month and week grids.
+export const agendaDays = (items, from, to) => {
+  const byDate = new Map();
+  items
+    .filter(item => item.date <= to && itemEndDate(item) >= from)
+    .forEach(item => {
+      const last = itemEndDate(item) < to ? itemEndDate(item) : to;
+      for (let date = item.date > from ? item.date : from; date <= last; date = addDays(date, 1)) {
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(item);
+      }
+    });
+
+  return [...byDate.keys()].sort().map(date => {
+    const dayItems = byDate.get(date).sort(compareItemsForDay);
+    return { date, games: dayItems.filter(isGameItem), items: dayItems.filter(item => !isGameItem(item)) };
+  });
+};
+
+// Last date with an item, so scrolling stops at the end of the season
+export const lastItemDate = (items) =>
+  items.reduce((last, item) => (itemEndDate(item) > last ? itemEndDate(item) : last), '');
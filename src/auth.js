@@ -0,0 +1,57 @@
+// Sign-in helpers (Google or passwordless email link) and the audit fields
+// stamped on every calendarItems write.
+import { auth } from './firebase.js';
+import {
+  GoogleAuthProvider,
+  signInWithPopup,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut
+} from 'firebase/auth';
+import { serverTimestamp } from 'firebase/firestore';
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+
+export const signInWithGoogle = () => signInWithPopup(auth, new GoogleAuthProvider());
+
+export const sendEmailSignInLink = async (email) => {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin + window.location.pathname,
+    handleCodeInApp: true
+  });
+  window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+// Finishes an email-link sign-in when the page was opened from the emailed
+// link. Returns false when the current URL is not a sign-in link.
+export const completeEmailSignIn = async () => {
+  const href = window.location.href;
+  if (!isSignInWithEmailLink(auth, href)) return false;
+
+  const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)
+    || window.prompt('Confirm your email to finish signing in');
+  if (!email) return false;
+
+  await signInWithEmailLink(auth, email, href);
+  window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  window.history.replaceState(null, '', window.location.pathname);
+  return true;
+};
+
+export const signOutUser = () => signOut(auth);
+
+export const userDisplayName = (user) =>
+  user?.displayName || user?.email?.split('@')[0] || 'Unknown';
+
+export const userStamp = (user) => ({
+  uid: user.uid,
+  name: userDisplayName(user),
+  email: user.email || null
+});
+
+// Audit fields for a write by `user`; pass isNew for documents being created
+export const auditFields = (user, isNew = false) => {
+  const stamp = { updatedBy: userStamp(user), updatedAt: serverTimestamp() };
+  return isNew ? { ...stamp, createdBy: userStamp(user), createdAt: serverTimestamp() } : stamp;
+};
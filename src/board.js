@@ -0,0 +1,40 @@
+// Kanban board: swimlanes of items, each split into one column per status.
+import { resolveAssignee, sortMembers } from './members.js';
+import { sortByOrder } from './registry.js';
+
+export const SWIMLANE_MODES = [
+  { value: 'none', label: 'NONE' },
+  { value: 'assignee', label: 'ASSIGNEE' },
+  { value: 'type', label: 'TYPE' }
+];
+
+// [{ key, label, items }] in display order. By assignee, an item with several
+// assignees appears in each of their lanes; empty lanes are dropped.
+export const boardLanes = (items, mode, { members = [], itemTypes = [] } = {}) => {
+  if (mode === 'assignee') {
+    const lanes = sortMembers(members).map(m => ({ key: m.id, label: m.name, items: [] }));
+    const unassigned = { key: 'unassigned', label: 'Unassigned', items: [] };
+    items.forEach(item => {
+      const ids = (item.assignees || []).map(a => resolveAssignee(a, members).id);
+      if (ids.length === 0) unassigned.items.push(item);
+      ids.forEach(id => {
+        let lane = lanes.find(l => l.key === id);
+        if (!lane) {
+          lane = { key: id, label: resolveAssignee(id, members).name, items: [] };
+          lanes.push(lane);
+        }
+        lane.items.push(item);
+      });
+    });
+    return [...lanes, unassigned].filter(lane => lane.items.length > 0);
+  }
+
+  if (mode === 'type') {
+    return sortByOrder(itemTypes)
+      .map(t => ({ key: t.value, label: t.label, items: items.filter(item => item.type === t.value) }))
+      .concat([{ key: 'other', label: 'Other', items: items.filter(item => !itemTypes.some(t => t.value === item.type)) }])
+      .filter(lane => lane.items.length > 0);
+  }
+
+  return [{ key: 'all', label: '', items }];
+};
@@ -0,0 +1,193 @@
+// CSV import: an RFC 4180 parser, header -> field mapping and row validation.
+// Rows become calendar items for preview; nothing here writes to Firestore.
+import { isGameItem, parseTimeString, buildGameTitle, localizeGameTime, findOpponent, HOME_VENUES } from './gameFields.js';
+import { matchVenue } from './timeZones.js';
+import { findEntry } from './registry.js';
+
+// Importable fields and the header spellings recognised for each
+export const CSV_FIELDS = [
+  { key: 'date', label: 'DATE', aliases: ['date', 'game date', 'start date', 'day'] },
+  { key: 'type', label: 'TYPE', aliases: ['type', 'category', 'item type'] },
+  { key: 'title', label: 'TITLE', aliases: ['title', 'name', 'subject', 'promo', 'event'] },
+  { key: 'time', label: 'TIME (PACIFIC)', aliases: ['time', 'start time', 'first pitch', 'start'] },
+  { key: 'homeAway', label: 'HOME/AWAY', aliases: ['home/away', 'homeaway', 'home away', 'side', 'h/a'] },
+  { key: 'opponent', label: 'OPPONENT', aliases: ['opponent', 'team', 'vs', 'opp'] },
+  { key: 'venue', label: 'LOCATION', aliases: ['location', 'venue', 'ballpark', 'stadium'] },
+  { key: 'status', label: 'STATUS', aliases: ['status'] },
+  { key: 'notes', label: 'NOTES', aliases: ['notes', 'note', 'details', 'description'] },
+  { key: 'links', label: 'LINKS', aliases: ['links', 'link', 'url'] }
+];
+
+// Default type value meaning "game; home or away decided per row"
+export const GAME_IMPORT_TYPE = 'game';
+
+// Firestore rejects write batches larger than this
+export const MAX_BATCH_WRITES = 500;
+
+// RFC 4180: quoted fields may contain commas, newlines and "" for a quote.
+// Returns an array of rows, each an array of field strings.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+};
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// { date: 0, time: 1, ... } with -1 for fields no header matched
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    mapping[field.key] = normalized.findIndex(h => field.aliases.includes(h));
+  });
+  return mapping;
+};
+
+// "2026-04-03", "4/3/2026" or "4/3/26" -> "2026-04-03"; null when unreadable
+export const parseDateString = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let y, m, d;
+  if (match) {
+    [, y, m, d] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (!match) return null;
+    [, m, d, y] = match.map(Number);
+    if (y < 100) y += 2000;
+  }
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+// A type cell matches a registry entry by key or label; home/away/game mean a game
+const resolveType = (value, itemTypes) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (['home', 'away', 'game'].includes(text)) return GAME_IMPORT_TYPE;
+  return findEntry(itemTypes, text)?.value
+    || itemTypes.find(t => t.label.toLowerCase() === text)?.value
+    || null;
+};
+
+// `typeSide` is "home" or "away" when the type cell named the side
+const buildGameRow = (cell, date, typeSide) => {
+  const errors = [];
+  // "Mariners" / "Seattle Mariners" -> "SEA"; abbreviations pass through
+  const opponent = findOpponent(cell('opponent')) || cell('opponent');
+  if (!opponent) errors.push('Missing opponent');
+
+  const venue = matchVenue(cell('venue')) || cell('venue');
+  const side = cell('homeAway').toLowerCase() || typeSide;
+  const homeAway = ['away', 'a', '@'].includes(side) || (!side && venue && !HOME_VENUES.includes(venue))
+    ? 'away'
+    : 'home';
+
+  const time = parseTimeString(cell('time'));
+  if (cell('time') && !time && cell('time').toUpperCase() !== 'TBD') {
+    errors.push(`Unreadable time "${cell('time')}"`);
+  }
+  // Schedule exports list first pitch in Pacific; store it on the venue's clock
+  const { startTime, timeZone } = date
+    ? localizeGameTime({ date, type: homeAway, venue, startTime: time, timeZone: null })
+    : { startTime: time, timeZone: null };
+
+  return {
+    errors,
+    fields: {
+      type: homeAway,
+      title: buildGameTitle(homeAway, opponent),
+      opponent,
+      homeAway,
+      venue,
+      startTime,
+      timeZone,
+      gameNumber: 1
+    }
+  };
+};
+
+// Validates data rows against the mapping. Returns one entry per row:
+// { rowNumber, item, errors } where rowNumber counts the header as row 1.
+export const csvRowsToItems = (rows, mapping, { defaultType = GAME_IMPORT_TYPE, itemTypes = [], statusOptions = [] } = {}) => {
+  const results = rows.map((row, idx) => {
+    const cell = (key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '');
+    const errors = [];
+
+    const date = parseDateString(cell('date'));
+    if (!date) errors.push(cell('date') ? `Unreadable date "${cell('date')}"` : 'Missing date');
+
+    const type = cell('type') ? resolveType(cell('type'), itemTypes) : defaultType;
+    if (!type) errors.push(`Unknown type "${cell('type')}"`);
+
+    const status = cell('status').toLowerCase() || 'planned';
+    if (statusOptions.length && !statusOptions.includes(status)) errors.push(`Unknown status "${cell('status')}"`);
+
+    let fields = { type, title: cell('title') };
+    if (type === GAME_IMPORT_TYPE) {
+      const typeCell = cell('type').toLowerCase();
+      const game = buildGameRow(cell, date, ['home', 'away'].includes(typeCell) ? typeCell : '');
+      errors.push(...game.errors);
+      fields = game.fields;
+    } else if (!fields.title) {
+      errors.push('Missing title');
+    }
+
+    return {
+      rowNumber: idx + 2,
+      errors,
+      item: {
+        date,
+        ...fields,
+        assignees: [],
+        status,
+        notes: cell('notes'),
+        links: cell('links')
+      }
+    };
+  });
+
+  // Number doubleheaders in file order
+  const games = results.filter(r => !r.errors.length && isGameItem(r.item)).map(r => r.item);
+  games.forEach((game, idx) => {
+    game.gameNumber = games.slice(0, idx).filter(g => g.date === game.date && g.opponent === game.opponent).length + 1;
+  });
+
+  return results;
+};
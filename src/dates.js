@@ -0,0 +1,25 @@
+// Calendar dates are "YYYY-MM-DD" strings on the local calendar (no time zone).
+
+// Local Date -> "YYYY-MM-DD"
+export const toDateStr = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// "YYYY-MM-DD" -> local Date at midnight
+export const parseDateStr = (dateStr) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const addDays = (dateStr, days) => {
+  const date = parseDateStr(dateStr);
+  return toDateStr(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+// Whole days from one date to another (negative when `to` is earlier)
+export const daysBetween = (from, to) => Math.round((parseDateStr(to) - parseDateStr(from)) / 86400000);
+
+// Sunday-to-Saturday week containing `date`: { from, to }
+export const weekRange = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+  return { from: toDateStr(start), to: addDays(toDateStr(start), 6) };
+};
@@ -0,0 +1,170 @@
+// Natural keys for calendar items (date + type + title + game number), used to
+// upsert imports and seed data instead of creating fresh auto-ID documents,
+// and to find and merge duplicates already in Firestore.
+import { db } from './firebase.js';
+import { collection, doc, writeBatch } from 'firebase/firestore';
+import { CONTRIBUTOR_FIELDS } from './permissions.js';
+import { auditFields } from './auth.js';
+import { occurrenceId, parseOccurrenceId } from './recurrence.js';
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const naturalKey = (item) =>
+  [item.date, item.type, normalizeTitle(item.title), item.gameNumber || 1].join('|');
+
+// Deterministic doc ID for a new item, e.g. "2026-04-03_home_vs-sea_1"
+export const naturalDocId = (item) =>
+  [item.date, item.type, normalizeTitle(item.title).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled', item.gameNumber || 1]
+    .join('_');
+
+// Fields an upsert never overwrites on an existing item: the team's own work
+const WORKING_FIELDS = [...CONTRIBUTOR_FIELDS, 'id', 'createdBy', 'createdAt', 'updatedBy', 'updatedAt'];
+
+// A rescheduled game (one with `original`) keeps answering to its original
+// slot, and re-running the original schedule must not move it back
+const RESCHEDULED_FIELDS = ['date', 'startTime', 'gameNumber', 'gameState', 'original'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Splits incoming items into writes against what is already stored:
+//   creates     [{ id, item }] for keys not in Firestore yet; id is null when the
+//               natural doc ID is already taken (e.g. by an item since renamed)
+//   updates     [{ id, changes }] schedule fields that differ on a stored item
+//   unchanged   incoming items that already match
+//   repeated    incoming items whose key appeared earlier in the same batch
+//   statuses    Map of incoming item -> 'new' | 'update' | 'unchanged' | 'repeated'
+export const planUpserts = (incoming, existing) => {
+  const stored = new Map();
+  existing.forEach(item => {
+    const keys = item.original ? [naturalKey(item), naturalKey({ ...item, ...item.original })] : [naturalKey(item)];
+    keys.forEach(key => {
+      if (!stored.has(key)) stored.set(key, item);
+    });
+  });
+
+  const plan = { creates: [], updates: [], unchanged: [], repeated: [], statuses: new Map() };
+  const seen = new Set();
+  const takenIds = new Set(existing.map(item => item.id));
+  incoming.forEach(item => {
+    const key = naturalKey(item);
+    if (seen.has(key)) {
+      plan.repeated.push(item);
+      plan.statuses.set(item, 'repeated');
+      return;
+    }
+    seen.add(key);
+
+    const match = stored.get(key);
+    if (!match) {
+      const id = naturalDocId(item);
+      plan.creates.push({ id: takenIds.has(id) ? null : id, item });
+      plan.statuses.set(item, 'new');
+      takenIds.add(id);
+      return;
+    }
+    const changes = {};
+    const kept = match.original ? [...WORKING_FIELDS, ...RESCHEDULED_FIELDS] : WORKING_FIELDS;
+    Object.entries(item).forEach(([field, value]) => {
+      if (!kept.includes(field) && !sameValue(match[field], value)) changes[field] = value;
+    });
+    if (Object.keys(changes).length > 0) {
+      plan.updates.push({ id: match.id, changes });
+      plan.statuses.set(item, 'update');
+    } else {
+      plan.unchanged.push(item);
+      plan.statuses.set(item, 'unchanged');
+    }
+  });
+
+  return plan;
+};
+
+export const UPSERT_STATUS_LABELS = {
+  new: 'NEW',
+  update: 'UPDATE',
+  unchanged: 'NO CHANGE',
+  repeated: 'DUPLICATE'
+};
+
+// Number of document writes a plan needs
+export const upsertWriteCount = (plan) => plan.creates.length + plan.updates.length;
+
+// Commits a planUpserts() result to calendarItems in batches of `chunkSize`
+// writes, stamped as `user`. Returns the number of documents written.
+export const writeUpsertPlan = async (plan, user, { chunkSize = 300, onProgress } = {}) => {
+  const writes = [
+    ...plan.creates.map(({ id, item }) => (batch) => {
+      const { id: sourceId, ...data } = item;
+      const ref = id ? doc(db, 'calendarItems', id) : doc(collection(db, 'calendarItems'));
+      batch.set(ref, { ...data, ...auditFields(user, true) });
+    }),
+    ...plan.updates.map(({ id, changes }) => (batch) => {
+      batch.update(doc(db, 'calendarItems', id), { ...changes, ...auditFields(user) });
+    })
+  ];
+
+  for (let i = 0; i < writes.length; i += chunkSize) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + chunkSize).forEach(write => write(batch));
+    await batch.commit();
+    onProgress?.(Math.min(i + chunkSize, writes.length), writes.length);
+  }
+  return writes.length;
+};
+
+// A detached occurrence shares its master's natural key on the first date but
+// is not a duplicate of it, so it groups only with copies of the same occurrence
+const duplicateKey = (item) =>
+  (item.recurrenceOf ? `${naturalKey(item)}|${occurrenceId(item.recurrenceOf, item.occurrenceDate)}` : naturalKey(item));
+
+// Groups of stored items sharing a natural key, oldest first
+export const findDuplicateGroups = (items) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = duplicateKey(item);
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+  const createdMillis = (item) => item.createdAt?.toMillis?.() ?? Number.MAX_SAFE_INTEGER;
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort((a, b) => createdMillis(a) - createdMillis(b)));
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Folds a duplicate group into its oldest item: assignees and themes are
+// combined, distinct notes and links joined, and the furthest status kept.
+// Items in `items` that pointed at a removed duplicate point at the kept one:
+// children by parentId (also of its occurrences) and detached occurrences by
+// recurrenceOf. Returns { keep, changes, removeIds, repoints } where repoints
+// are [{ id, data }] updates.
+export const mergeDuplicateGroup = (group, statusOptions = [], items = []) => {
+  const [keep, ...others] = group;
+  const all = [keep, ...others];
+  const statusRank = (status) => statusOptions.indexOf(status);
+
+  const merged = {
+    assignees: unique(all.flatMap(item => item.assignees || [])),
+    themes: unique(all.flatMap(item => item.themes || [])),
+    notes: unique(all.map(item => item.notes?.trim())).join('\n\n'),
+    links: unique(all.flatMap(item => String(item.links || '').split(/\s+/))).join(' '),
+    status: all.reduce((best, item) => (statusRank(item.status) > statusRank(best) ? item.status : best), keep.status)
+  };
+
+  const changes = {};
+  Object.entries(merged).forEach(([field, value]) => {
+    if (!sameValue(keep[field] ?? (Array.isArray(value) ? [] : ''), value)) changes[field] = value;
+  });
+
+  const removeIds = others.map(item => item.id);
+  const repoints = items.flatMap(item => {
+    const data = {};
+    const parent = parseOccurrenceId(item.parentId);
+    if (removeIds.includes(item.parentId)) data.parentId = keep.id;
+    else if (parent && removeIds.includes(parent.masterId)) data.parentId = occurrenceId(keep.id, parent.date);
+    if (removeIds.includes(item.recurrenceOf)) data.recurrenceOf = keep.id;
+    return Object.keys(data).length > 0 ? [{ id: item.id, data }] : [];
+  });
+
+  return { keep, changes, removeIds, repoints };
+};
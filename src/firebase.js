@@ -17,5 +17,23 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 // Import and initialize Firestore
-import { getFirestore } from "firebase/firestore";
-export const db = getFirestore(app);
\ No newline at end of file
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+export const db = getFirestore(app);
+
+// Import and initialize Authentication
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+export const auth = getAuth(app);
+
+// Point at the local Firebase emulators (`firebase emulators:start`). Scripts
+// pass bypassRules to write as the emulator's "owner", which skips
+// firestore.rules; the app always goes through the rules.
+export const connectToEmulators = ({ bypassRules = false } = {}) => {
+  connectFirestoreEmulator(db, '127.0.0.1', 8080, bypassRules ? { mockUserToken: 'owner' } : {});
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+};
+
+// The app uses the emulators when VITE_USE_FIREBASE_EMULATORS=true is set in .env.local
+export const usingEmulators = import.meta.env?.VITE_USE_FIREBASE_EMULATORS === 'true';
+if (usingEmulators) {
+  connectToEmulators();
+}
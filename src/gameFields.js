@@ -0,0 +1,185 @@
+// Structured fields for game items (home/away) and helpers for the legacy
+// "06:38 PM - Angel Stadium" notes format used before games had real fields.
+//
+// startTime is the venue's wall-clock first pitch ("HH:mm") and timeZone the
+// venue's IANA zone; legacy data was entered in Pacific time.
+import { PACIFIC_TIME_ZONE, venueTimeZone, convertZonedTime, zonedTimeToDate, zoneAbbreviation } from './timeZones.js';
+
+export const GAME_TYPES = ['home', 'away', 'game'];
+
+export const DEFAULT_TIME_ZONE = PACIFIC_TIME_ZONE;
+
+// The old schedule export wrote "01:00 AM" Pacific for games without a
+// confirmed first pitch
+const LEGACY_TBD_TIME = '01:00';
+
+export const isGameItem = (item) => GAME_TYPES.includes(item?.type);
+
+// Where the game itself stands, separate from the editorial `status` of the
+// item. Games without a gameState are scheduled.
+export const GAME_STATES = [
+  { value: 'scheduled', label: 'SCHEDULED' },
+  { value: 'delayed', label: 'DELAYED' },
+  { value: 'postponed', label: 'POSTPONED' },
+  { value: 'suspended', label: 'SUSPENDED' },
+  { value: 'final', label: 'FINAL' }
+];
+
+export const DEFAULT_GAME_STATE = 'scheduled';
+
+export const gameState = (item) => item?.gameState || DEFAULT_GAME_STATE;
+
+export const gameStateLabel = (item) =>
+  GAME_STATES.find(s => s.value === gameState(item))?.label || gameState(item).toUpperCase();
+
+export const isPostponed = (item) => isGameItem(item) && gameState(item) === 'postponed';
+
+// "06:38 PM" / "7:07 pm" -> "18:38" / "19:07"; 24h input is passed through
+export const parseTimeString = (value) => {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// "18:38" -> "6:38 PM"
+export const formatTimeString = (startTime) => {
+  if (!startTime) return '';
+  const [hours, minutes] = startTime.split(':').map(Number);
+  const meridiem = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+};
+
+// "vs LAD" / "@ HOU" -> { homeAway, opponent }
+export const parseGameTitle = (title) => {
+  const match = String(title || '').trim().match(/^(vs\.?|@)\s+(.+)$/i);
+  if (!match) return { homeAway: null, opponent: null };
+  return {
+    homeAway: match[1] === '@' ? 'away' : 'home',
+    opponent: match[2].trim()
+  };
+};
+
+export const buildGameTitle = (homeAway, opponent) =>
+  `${homeAway === 'away' ? '@' : 'vs'} ${opponent}`;
+
+// Team names as schedule files spell them -> the abbreviations used in titles
+export const teamAbbreviations = {
+  'Dodgers': 'LAD', 'Diamondbacks': 'ARI', 'Rangers': 'TEX', 'Giants': 'SF',
+  'Rockies': 'COL', 'Padres': 'SD', 'Cubs': 'CHC', 'Reds': 'CIN',
+  'Royals': 'KC', 'Mariners': 'SEA', 'Athletics': 'OAK', 'Guardians': 'CLE',
+  'Brewers': 'MIL', 'White Sox': 'CWS', 'Astros': 'HOU', 'Braves': 'ATL',
+  'Yankees': 'NYY', 'Blue Jays': 'TOR', 'Mets': 'NYM', 'Tigers': 'DET',
+  'Rays': 'TB', 'Orioles': 'BAL', 'Red Sox': 'BOS', 'Twins': 'MIN',
+  'Cardinals': 'STL', 'Marlins': 'MIA', 'Phillies': 'PHI', 'Pirates': 'PIT',
+  'Nationals': 'WSH', 'Italy': 'ITA'
+};
+
+// Angels home parks, regular season and Cactus League
+export const HOME_VENUES = ['Angel Stadium', 'Tempe Diablo Field'];
+
+// Abbreviation of the first opponent named in free text such as
+// "Seattle Mariners at Los Angeles Angels"; null when no team is found
+export const findOpponent = (text) => {
+  const value = String(text || '');
+  const name = Object.keys(teamAbbreviations)
+    .sort((a, b) => b.length - a.length)
+    .find(team => new RegExp(`\\b${team}\\b`, 'i').test(value));
+  return name ? teamAbbreviations[name] : null;
+};
+
+// "06:38 PM - Angel Stadium" -> { startTime: "18:38", venue: "Angel Stadium" }
+export const parseGameNotes = (notes) => {
+  const match = String(notes || '').trim().match(/^(\d{1,2}:\d{2}\s*[AaPp][Mm])\s*-\s*(.*)$/);
+  if (!match) return null;
+  return { startTime: parseTimeString(match[1]), venue: match[2].trim() };
+};
+
+// Moves a Pacific-entered first pitch onto the venue's own clock. Returns the
+// changed { startTime, timeZone }, or null when there is nothing to change.
+export const localizeGameTime = (item) => {
+  if (!isGameItem(item) || (item.timeZone && item.timeZone !== PACIFIC_TIME_ZONE)) return null;
+
+  const zone = venueTimeZone(item.venue) || PACIFIC_TIME_ZONE;
+  // Only items saved before timeZone existed used 1:00 AM for TBD
+  if (!item.timeZone && item.startTime === LEGACY_TBD_TIME) {
+    return { startTime: null, timeZone: zone };
+  }
+  if (zone === PACIFIC_TIME_ZONE) {
+    return item.timeZone ? null : { startTime: item.startTime || null, timeZone: zone };
+  }
+  return {
+    startTime: item.startTime ? convertZonedTime(item.date, item.startTime, PACIFIC_TIME_ZONE, zone).time : null,
+    timeZone: zone
+  };
+};
+
+// Returns the structured fields a legacy game item is missing, or null when the
+// item is not a game or already carries them.
+export const migrateGameItem = (item) => {
+  if (!isGameItem(item) || item.startTime !== undefined) return null;
+
+  const parsedNotes = parseGameNotes(item.notes);
+  const { homeAway, opponent } = parseGameTitle(item.title);
+  const venue = parsedNotes?.venue || '';
+
+  return {
+    homeAway: homeAway || (item.type === 'away' ? 'away' : 'home'),
+    opponent: opponent || '',
+    venue,
+    gameNumber: item.gameNumber || 1,
+    notes: parsedNotes ? '' : (item.notes || ''),
+    ...localizeGameTime({ ...item, venue, startTime: parsedNotes?.startTime || null, timeZone: null })
+  };
+};
+
+// What a stored game is missing when it is read: the structured fields of a
+// legacy item, or the venue-local time of one saved before timeZone existed.
+// Lets the calendar and feed show legacy items correctly before
+// scripts/migrate-game-fields.js has written the same fields.
+export const legacyGameFields = (item) => migrateGameItem(item) || (item.timeZone ? null : localizeGameTime(item));
+
+// First pitch as a Date, or null when the time is still TBD
+export const gameStartDate = (item) => {
+  if (!item?.startTime || !item.date) return null;
+  return zonedTimeToDate(item.date, item.startTime, item.timeZone || PACIFIC_TIME_ZONE);
+};
+
+// First pitch in displayZone (defaults to the venue's zone): "1:05 PM EDT"
+export const gameTimeLabel = (item, displayZone) => {
+  if (!item?.startTime) return 'TBD';
+  const venueZone = item.timeZone || PACIFIC_TIME_ZONE;
+  const zone = displayZone || venueZone;
+  const { date, time } = convertZonedTime(item.date, item.startTime, venueZone, zone);
+  return `${formatTimeString(time)} ${zoneAbbreviation(date, time, zone)}`;
+};
+
+// "POSTPONED - 7:07 PM PDT - Game 2 - Angel Stadium"; the state is left out while scheduled
+export const gameSubtitle = (item, displayZone) => {
+  const parts = [gameTimeLabel(item, displayZone)];
+  if (gameState(item) !== DEFAULT_GAME_STATE) parts.unshift(gameStateLabel(item));
+  if (item.gameNumber > 1) parts.push(`Game ${item.gameNumber}`);
+  if (item.venue) parts.push(item.venue);
+  return parts.join(' - ');
+};
+
+// Games first in first-pitch order (doubleheader game 1 before game 2), then
+// everything else in its original order
+export const compareItemsForDay = (a, b) => {
+  const aGame = isGameItem(a);
+  const bGame = isGameItem(b);
+  if (aGame !== bGame) return aGame ? -1 : 1;
+  if (!aGame) return 0;
+  if ((a.gameNumber || 1) !== (b.gameNumber || 1)) return (a.gameNumber || 1) - (b.gameNumber || 1);
+  const aStart = gameStartDate(a);
+  const bStart = gameStartDate(b);
+  if (!aStart || !bStart) return aStart ? -1 : bStart ? 1 : 0;
+  return aStart - bStart;
+};
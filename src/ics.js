@@ -0,0 +1,286 @@
+// RFC 5545 iCalendar export and import for calendarItems. Exported event UIDs
+// are derived from the Firestore doc ID so re-importing or re-fetching a feed
+// updates events in place instead of duplicating them.
+import { isGameItem, isPostponed, gameStartDate, buildGameTitle, findOpponent, HOME_VENUES } from './gameFields.js';
+import { PACIFIC_TIME_ZONE, venueTimeZone, matchVenue, convertZonedTime } from './timeZones.js';
+import { resolveAssignee } from './members.js';
+import { entryLabel } from './registry.js';
+import { itemEndDate } from './spans.js';
+import { addDays } from './dates.js';
+
+export const ICS_UID_DOMAIN = 'angels-calendar-2026';
+
+// Assumed length of a game when writing DTEND
+const GAME_DURATION_MINUTES = 180;
+
+const encoder = new TextEncoder();
+
+export const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+export const foldLine = (line) => {
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// "2026-04-03" (+ days) -> "20260403"
+export const formatDateValue = (dateStr, offsetDays = 0) =>
+  (offsetDays ? addDays(dateStr, offsetDays) : dateStr).replace(/-/g, '');
+
+// Occurrences of a recurring item keep their UID when one is edited on its own
+export const eventUid = (item) => {
+  const seriesId = item.masterId || item.recurrenceOf;
+  return `${seriesId ? `${seriesId}-${item.occurrenceDate}` : item.id}@${ICS_UID_DOMAIN}`;
+};
+
+// Firestore Timestamp, Date or millis -> Date
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const buildDescription = (item, members, itemTypes) => {
+  const lines = [`Type: ${entryLabel(itemTypes, item.type)}`, `Status: ${item.status}`];
+  if (item.assignees?.length) {
+    lines.push(`Assignees: ${item.assignees.map(a => resolveAssignee(a, members).name).join(', ')}`);
+  }
+  if (item.notes) lines.push('', item.notes);
+  return lines.join('\n');
+};
+
+// URL is a single URI value: the first http(s) link in `links`, percent-encoded
+// by the URL parser, or null when none parses
+const eventUrl = (links) => {
+  for (const link of String(links || '').split(/\s+/)) {
+    if (!/^https?:\/\//i.test(link)) continue;
+    try {
+      return new URL(link).href;
+    } catch {
+      // not a URL; try the next one
+    }
+  }
+  return null;
+};
+
+const buildEvent = (item, { members, itemTypes, now }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(item)}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`
+  ];
+
+  const start = isGameItem(item) ? gameStartDate(item) : null;
+  if (start) {
+    lines.push(`DTSTART:${formatUtcDateTime(start)}`);
+    lines.push(`DTEND:${formatUtcDateTime(new Date(start.getTime() + GAME_DURATION_MINUTES * 60000))}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(item.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDateValue(itemEndDate(item), 1)}`);
+  }
+
+  // Game titles are "vs SEA" / "@ NYY"; name the team so they read on their own
+  const summary = isGameItem(item) ? `Angels ${item.title}` : item.title;
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  lines.push(`DESCRIPTION:${escapeText(buildDescription(item, members, itemTypes))}`);
+  if (item.venue) lines.push(`LOCATION:${escapeText(item.venue)}`);
+  const url = eventUrl(item.links);
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`CATEGORIES:${escapeText(entryLabel(itemTypes, item.type))}`);
+  // Subscribed calendars strike postponed games through until they are rescheduled
+  if (isPostponed(item)) lines.push('STATUS:CANCELLED');
+
+  const lastModified = toDate(item.updatedAt);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Builds a VCALENDAR document (CRLF line endings) for the given items
+export const buildICalendar = (items, { calendarName = 'Angels Calendar', members = [], itemTypes = [], now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Angels Calendar 2026//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    'X-WR-TIMEZONE:America/Los_Angeles'
+  ];
+
+  [...items]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(item => lines.push(...buildEvent(item, { members, itemTypes, now })));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const unescapeText = (value) =>
+  String(value || '').replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+
+// Unfolds a VCALENDAR and returns each VEVENT as { NAME: { value, params } }.
+// Properties of nested components (VALARM) are ignored.
+export const parseICalendar = (text) => {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      depth = 0;
+      return;
+    }
+    if (!current) return;
+    if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+      return;
+    }
+    if (line.startsWith('BEGIN:')) depth++;
+    if (line.startsWith('END:')) depth--;
+    if (depth > 0) return;
+
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;(?:[^:";]|"[^"]*")*)*):(.*)$/);
+    if (!match) return;
+    const name = match[1].toUpperCase();
+    if (current[name]) return;
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    current[name] = { value: match[3], params };
+  });
+
+  return events;
+};
+
+const isTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// DTSTART -> { date, time } on the given zone's clock; time is null for
+// all-day events. Floating times are read as Pacific, like the CSV importer.
+const parseDateTime = (prop, zone) => {
+  const match = String(prop?.value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4]) return { date, time: null };
+
+  const tzid = prop.params.TZID;
+  const fromZone = match[6] ? 'UTC' : (tzid && isTimeZone(tzid) ? tzid : PACIFIC_TIME_ZONE);
+  return convertZonedTime(date, `${match[4]}:${match[5]}`, fromZone, zone);
+};
+
+// Home when the game is at an Angels park; without a location, fall back to
+// the summary wording ("Mariners at Angels" / "Angels @ Mariners")
+const detectHomeAway = (venue, summary) => {
+  if (venue) return HOME_VENUES.includes(venue) ? 'home' : 'away';
+  return /\bangels\s+(?:at|@)\s/i.test(summary) ? 'away' : 'home';
+};
+
+// Maps one parsed VEVENT to a calendar item, or null when it has no usable
+// date. Events naming an opponent become games; anything else is an event.
+export const icsEventToItem = (event) => {
+  const summary = unescapeText(event.SUMMARY?.value).trim();
+  const location = unescapeText(event.LOCATION?.value).trim();
+  const opponent = findOpponent(summary);
+
+  if (!opponent) {
+    const start = parseDateTime(event.DTSTART, PACIFIC_TIME_ZONE);
+    if (!start || !summary) return null;
+    // An all-day DTEND is exclusive; one past the next day makes a multi-day item
+    const end = !start.time && event.DTEND ? parseDateTime(event.DTEND, PACIFIC_TIME_ZONE) : null;
+    const endDate = end ? addDays(end.date, -1) : null;
+    return {
+      date: start.date,
+      ...(endDate > start.date ? { endDate } : {}),
+      type: 'event',
+      title: summary,
+      assignees: [],
+      status: 'planned',
+      notes: unescapeText(event.DESCRIPTION?.value).trim(),
+      links: event.URL?.value || ''
+    };
+  }
+
+  const venue = matchVenue(location) || location;
+  const timeZone = venueTimeZone(venue) || PACIFIC_TIME_ZONE;
+  const start = parseDateTime(event.DTSTART, timeZone);
+  if (!start) return null;
+  const homeAway = detectHomeAway(location ? venue : '', summary);
+
+  return {
+    date: start.date,
+    type: homeAway,
+    title: buildGameTitle(homeAway, opponent),
+    opponent,
+    homeAway,
+    venue,
+    startTime: start.time,
+    timeZone,
+    gameNumber: 1,
+    assignees: [],
+    status: 'planned',
+    notes: '',
+    links: ''
+  };
+};
+
+// Parses an .ics file into calendar items for preview. Doubleheaders are
+// numbered by first pitch; `skipped` holds the summaries that could not be read.
+export const icsToItems = (text) => {
+  const items = [];
+  const skipped = [];
+  parseICalendar(text).forEach(event => {
+    const item = icsEventToItem(event);
+    if (item) items.push(item);
+    else skipped.push(unescapeText(event.SUMMARY?.value) || '(untitled event)');
+  });
+
+  const games = items
+    .filter(item => isGameItem(item))
+    .sort((a, b) => (a.startTime || '99:99').localeCompare(b.startTime || '99:99'));
+  games.forEach(game => {
+    game.gameNumber = games.filter(g =>
+      g.date === game.date && g.opponent === game.opponent && games.indexOf(g) < games.indexOf(game)).length + 1;
+  });
+
+  return { items: items.sort((a, b) => a.date.localeCompare(b.date)), skipped };
+};
@@ -0,0 +1,81 @@
+// Shared item filter: { types, statuses, assignees, themes, homeAway, from, to }.
+// Empty lists / blank dates mean "no restriction". Used by the calendar views,
+// the .ics export and feed, and encoded into query strings so a filtered view
+// can be shared. Also the header search.
+import { resolveAssignee } from './members.js';
+import { isGameItem } from './gameFields.js';
+import { itemEndDate } from './spans.js';
+
+export const emptyFilter = () => ({
+  types: [],
+  statuses: [],
+  assignees: [],
+  themes: [],
+  homeAway: [],
+  from: '',
+  to: ''
+});
+
+// Number of filter sections in use, for the FILTERS button badge
+export const activeFilterCount = (filter) =>
+  Object.values(filter).filter(value => (Array.isArray(value) ? value.length > 0 : Boolean(value))).length;
+
+export const isFilterActive = (filter) => activeFilterCount(filter) > 0;
+
+export const matchesFilter = (item, filter, members = []) => {
+  if (filter.types?.length && !filter.types.includes(item.type)) return false;
+  if (filter.statuses?.length && !filter.statuses.includes(item.status)) return false;
+  if (filter.themes?.length && !filter.themes.some(theme => (item.themes || []).includes(theme))) return false;
+  // Home/away narrows games only; other items are not tied to a side
+  if (filter.homeAway?.length && isGameItem(item) && !filter.homeAway.includes(item.homeAway)) return false;
+  if (filter.from && itemEndDate(item) < filter.from) return false;
+  if (filter.to && item.date > filter.to) return false;
+  if (filter.assignees?.length) {
+    const ids = (item.assignees || []).map(a => resolveAssignee(a, members).id);
+    if (!filter.assignees.some(id => ids.includes(id))) return false;
+  }
+  return true;
+};
+
+export const filterItems = (items, filter, members = []) =>
+  items.filter(item => matchesFilter(item, filter, members));
+
+// Free-text search over title, notes, links and assignee names. Every word in
+// the query must appear somewhere; results are in date order.
+export const searchItems = (items, query, members = []) => {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  return items
+    .filter(item => {
+      const text = [
+        item.title,
+        item.notes,
+        item.links,
+        ...(item.assignees || []).map(a => resolveAssignee(a, members).name)
+      ].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// { types: ['home'], from: '2026-05-01' } -> "types=home&from=2026-05-01"
+export const filterToQuery = (filter) => {
+  const params = new URLSearchParams();
+  Object.entries(filter).forEach(([key, value]) => {
+    if (Array.isArray(value) ? value.length : value) {
+      params.set(key, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+  return params.toString();
+};
+
+export const queryToFilter = (query) => {
+  const params = new URLSearchParams(query);
+  const filter = emptyFilter();
+  Object.keys(filter).forEach(key => {
+    const value = params.get(key);
+    if (!value) return;
+    filter[key] = Array.isArray(filter[key]) ? value.split(',').filter(Boolean) : value;
+  });
+  return filter;
+};
@@ -0,0 +1,37 @@
+// Parent/child links between calendar items: content (a lineup graphic, a
+// recap) hangs off the game, event or promo it belongs to via item.parentId.
+import { GAME_TYPES } from './gameFields.js';
+import { daysBetween } from './dates.js';
+
+export const PARENT_TYPES = [...GAME_TYPES, 'event', 'promo'];
+
+export const canHaveChildren = (item) => PARENT_TYPES.includes(item?.type);
+
+// Parents are never children themselves, so links stay one level deep
+export const canHaveParent = (item) => Boolean(item) && !canHaveChildren(item);
+
+export const childrenOf = (items, parentId) =>
+  items
+    .filter(item => item.parentId === parentId)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// { done, total } over a parent's children; done counts completed items
+export const completionRollup = (children) => ({
+  done: children.filter(child => child.status === 'completed').length,
+  total: children.length
+});
+
+// A day's items minus the children whose parent is listed the same day; those
+// are shown nested under the parent instead
+export const topLevelItems = (dayItems) =>
+  dayItems.filter(item => !item.parentId || !dayItems.some(parent => parent.id === item.parentId));
+
+// Parents a new or edited item can link to: parent-type items within `days`
+// of its date, nearest first
+export const parentCandidates = (items, dateStr, days = 3) => {
+  if (!dateStr) return [];
+  const distance = (date) => Math.abs(daysBetween(dateStr, date));
+  return items
+    .filter(item => canHaveChildren(item) && distance(item.date) <= days)
+    .sort((a, b) => distance(a.date) - distance(b.date) || a.date.localeCompare(b.date));
+};
@@ -0,0 +1,52 @@
+// Team roster stored in the Firestore `members` collection. Items reference
+// members by doc ID in `assignees`; older items stored bare first names, which
+// resolveAssignee still understands until scripts/migrate-assignees.js runs.
+import { DEFAULT_ROLE } from './permissions.js';
+
+// The roster that used to be hardcoded in AngelsCalendar.jsx. Doc IDs are the
+// lowercased names so the assignee migration can map names to IDs.
+export const DEFAULT_MEMBERS = [
+  { id: 'liam', name: 'Liam', initials: 'L', color: '#ba0021', role: 'editor', active: true },
+  { id: 'hannah', name: 'Hannah', initials: 'H', color: '#003263', role: 'editor', active: true },
+  { id: 'ricardo', name: 'Ricardo', initials: 'R', color: '#0891b2', role: 'editor', active: true },
+  { id: 'alex', name: 'Alex', initials: 'A', color: '#6b21a8', role: 'editor', active: true },
+  { id: 'interns', name: 'Interns', initials: 'IN', color: '#f97316', role: 'contributor', active: true }
+];
+
+export const MEMBER_COLORS = ['#ba0021', '#003263', '#0891b2', '#6b21a8', '#f97316', '#16a34a', '#ec4899', '#666666'];
+
+export const emptyMember = () => ({
+  name: '',
+  initials: '',
+  color: MEMBER_COLORS[0],
+  role: DEFAULT_ROLE,
+  active: true,
+  uid: null
+});
+
+export const memberInitials = (name) =>
+  String(name || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part.charAt(0).toUpperCase())
+    .join('');
+
+export const sortMembers = (members) =>
+  [...members].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+// Looks an assignee up by member ID, falling back to a legacy name match and
+// finally to a placeholder so unknown assignees still render
+export const resolveAssignee = (assignee, members) => {
+  const member = members.find(m => m.id === assignee)
+    || members.find(m => (m.name || '').toLowerCase() === String(assignee).toLowerCase());
+  if (member) return member;
+  return {
+    id: assignee,
+    name: String(assignee),
+    initials: memberInitials(assignee),
+    color: '#52525b',
+    active: false
+  };
+};
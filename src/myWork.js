@@ -0,0 +1,40 @@
+// "My Work": the signed-in user's assigned items, grouped by when they are due.
+import { resolveAssignee } from './members.js';
+import { addDays } from './dates.js';
+import { itemEndDate } from './spans.js';
+
+// Team member linked to the signed-in account (members/{id}.uid)
+export const memberForUser = (user, members) =>
+  (user && members.find(m => m.uid === user.uid)) || null;
+
+export const isOverdue = (item, today) => itemEndDate(item) < today && item.status !== 'completed';
+
+export const MY_WORK_GROUPS = [
+  { key: 'overdue', label: 'OVERDUE' },
+  { key: 'today', label: 'TODAY' },
+  { key: 'week', label: 'NEXT 7 DAYS' },
+  { key: 'later', label: 'LATER' },
+  { key: 'done', label: 'COMPLETED' }
+];
+
+const groupFor = (item, today) => {
+  if (item.status === 'completed') return 'done';
+  if (itemEndDate(item) < today) return 'overdue';
+  // A multi-day item counts as today's work until its last day
+  if (item.date <= today) return 'today';
+  if (item.date <= addDays(today, 7)) return 'week';
+  return 'later';
+};
+
+// { overdue: [...], today: [...], ... } for items assigned to `memberId`, each
+// group in date order then by status (furthest along last)
+export const groupMyWork = (items, memberId, members, today, statusOptions = []) => {
+  const groups = Object.fromEntries(MY_WORK_GROUPS.map(g => [g.key, []]));
+  items
+    .filter(item => (item.assignees || []).some(a => resolveAssignee(a, members).id === memberId))
+    .forEach(item => groups[groupFor(item, today)].push(item));
+
+  Object.values(groups).forEach(group => group.sort((a, b) =>
+    a.date.localeCompare(b.date) || statusOptions.indexOf(a.status) - statusOptions.indexOf(b.status)));
+  return groups;
+};
@@ -0,0 +1,47 @@
+// Role-based permissions for calendarItems. firestore.rules enforces the same
+// matrix on the server; keep the two in sync.
+//
+//   admin        everything, including assigning roles in users/{uid}
+//   editor       create, edit and delete any item
+//   contributor  create/edit/delete content-style items; on games, events,
+//                promos and sponsored items only the working fields below
+//   viewer       read only
+
+export const ROLES = ['admin', 'editor', 'contributor', 'viewer'];
+
+export const DEFAULT_ROLE = 'viewer';
+
+// Item types owned by baseball ops and marketing
+export const PROTECTED_TYPES = ['home', 'away', 'game', 'event', 'promo', 'sponsored'];
+
+// Fields a contributor may change on a protected item
+export const CONTRIBUTOR_FIELDS = ['status', 'assignees', 'notes', 'links', 'themes'];
+
+const isEditor = (role) => role === 'admin' || role === 'editor';
+
+export const isProtectedType = (type) => PROTECTED_TYPES.includes(type);
+
+export const canCreate = (role, type) =>
+  isEditor(role) || (role === 'contributor' && !isProtectedType(type));
+
+// 'all' when every field is editable, the list of editable fields when only
+// some are, or null when the item is read-only for this role
+export const editableFields = (role, item) => {
+  if (isEditor(role)) return 'all';
+  if (role !== 'contributor') return null;
+  return isProtectedType(item?.type) ? CONTRIBUTOR_FIELDS : 'all';
+};
+
+export const canEdit = (role, item) => editableFields(role, item) !== null;
+
+// Moving an item to another day changes its date, which contributors may not
+// do on protected items
+export const canReschedule = (role, item) => editableFields(role, item) === 'all';
+
+export const canDelete = (role, item) =>
+  isEditor(role) || (role === 'contributor' && !isProtectedType(item?.type));
+
+export const canManageRoles = (role) => role === 'admin';
+
+// Team roster and other app settings
+export const canManageSettings = (role) => role === 'admin';
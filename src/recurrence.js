@@ -0,0 +1,281 @@
+// Recurring items. A stored item with a `recurrence` rule is a series master;
+// the app shows its occurrences instead of the item itself. Rules follow
+// RRULE's vocabulary, anchored to the master's date:
+//
+//   { freq: 'weekly', interval: 1, weekday: 6, homeGamesOnly: false, until: '2026-09-30' }
+//   { freq: 'monthly', weekday: 2, nth: 2, until: null }     2nd Tuesday (nth -1 = last)
+//
+// Dates in the master's `exdates` are skipped: occurrences that were deleted,
+// or edited on their own and stored as separate items with `recurrenceOf` and
+// `occurrenceDate`.
+import { addDays, daysBetween, parseDateStr, toDateStr } from './dates.js';
+import { isGameItem } from './gameFields.js';
+import { movedDates } from './spans.js';
+
+// Rules without an end date stop this long after the first occurrence
+export const RECURRENCE_HORIZON_DAYS = 366;
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+// Edit/delete scopes for one occurrence of a series
+export const RECURRENCE_SCOPES = [
+  { value: 'this', label: 'THIS OCCURRENCE' },
+  { value: 'following', label: 'THIS AND FOLLOWING' },
+  { value: 'all', label: 'ALL OCCURRENCES' }
+];
+
+export const isOccurrence = (item) => Boolean(item?.masterId);
+
+export const occurrenceId = (masterId, dateStr) => `${masterId}@${dateStr}`;
+
+// { masterId, date } for an occurrence id, or null
+export const parseOccurrenceId = (id) => {
+  const match = /^(.+)@(\d{4}-\d{2}-\d{2})$/.exec(id || '');
+  return match ? { masterId: match[1], date: match[2] } : null;
+};
+
+const nthOfMonth = (dateStr) => Math.ceil(parseDateStr(dateStr).getDate() / 7);
+
+const isLastWeekOfMonth = (dateStr) => {
+  const date = parseDateStr(dateStr);
+  return date.getMonth() !== parseDateStr(addDays(dateStr, 7)).getMonth();
+};
+
+// The rule kinds the editor offers for a start date, e.g. "Weekly on Saturday",
+// "Every home Saturday", "Monthly on the first Saturday"
+export const recurrenceOptions = (dateStr) => {
+  if (!dateStr) return [];
+  const weekday = WEEKDAY_NAMES[parseDateStr(dateStr).getDay()];
+  const nth = nthOfMonth(dateStr);
+  return [
+    { value: 'weekly', label: `Weekly on ${weekday}` },
+    { value: 'home', label: `Every home ${weekday}` },
+    ...(nth <= 4 ? [{ value: 'monthly', label: `Monthly on the ${ORDINALS[nth]} ${weekday}` }] : []),
+    ...(isLastWeekOfMonth(dateStr) ? [{ value: 'monthly-last', label: `Monthly on the last ${weekday}` }] : [])
+  ];
+};
+
+export const recurrenceKind = (rule) => {
+  if (!rule) return 'none';
+  if (rule.freq === 'monthly') return rule.nth === -1 ? 'monthly-last' : 'monthly';
+  return rule.homeGamesOnly ? 'home' : 'weekly';
+};
+
+// A rule of `kind` anchored to dateStr's weekday (and week of the month),
+// keeping the interval and end date of `base`
+export const ruleForKind = (kind, dateStr, base = {}) => {
+  if (kind === 'none' || !dateStr) return null;
+  const weekday = parseDateStr(dateStr).getDay();
+  const until = base.until || null;
+  if (kind === 'monthly' || kind === 'monthly-last') {
+    // A fifth weekday is always the month's last one, so the series keeps its
+    // start date as an occurrence
+    const nth = kind === 'monthly-last' || nthOfMonth(dateStr) > 4 ? -1 : nthOfMonth(dateStr);
+    return { freq: 'monthly', weekday, nth, until };
+  }
+  return {
+    freq: 'weekly',
+    interval: kind === 'home' ? 1 : Math.max(1, Number(base.interval) || 1),
+    weekday,
+    homeGamesOnly: kind === 'home',
+    until
+  };
+};
+
+// Re-anchors a rule after its start date changes
+export const anchorRecurrence = (rule, dateStr) => ruleForKind(recurrenceKind(rule), dateStr, rule || {});
+
+// "Every home Saturday until Sep 26", "Every 2 weeks on Tuesday"
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+  const weekday = WEEKDAY_NAMES[rule.weekday];
+  let text;
+  if (rule.freq === 'monthly') text = `Monthly on the ${ORDINALS[rule.nth]} ${weekday}`;
+  else if (rule.homeGamesOnly) text = `Every home ${weekday}`;
+  else if (rule.interval > 1) text = `Every ${rule.interval} weeks on ${weekday}`;
+  else text = `Weekly on ${weekday}`;
+  if (!rule.until) return text;
+  return `${text} until ${parseDateStr(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
+
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const last = new Date(year, month + 1, 0);
+    return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+  }
+  const first = new Date(year, month, 1);
+  return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7);
+};
+
+export const homeGameDates = (items) =>
+  new Set(items.filter(item => isGameItem(item) && item.homeAway === 'home').map(item => item.date));
+
+// YYYY-MM-DD dates of a rule starting on `start`, minus `exdates`. Home-only
+// rules need the dates of home games.
+export const recurrenceDates = (rule, start, { exdates = [], homeDates = new Set() } = {}) => {
+  const end = rule.until || addDays(start, RECURRENCE_HORIZON_DAYS);
+  const skipped = new Set(exdates);
+  const dates = [];
+
+  if (rule.freq === 'monthly') {
+    const first = parseDateStr(start);
+    for (let m = 0; ; m += 1) {
+      const date = toDateStr(nthWeekdayOfMonth(first.getFullYear(), first.getMonth() + m, rule.weekday, rule.nth));
+      if (date > end) break;
+      // A fifth-week start can fall after that month's last weekday
+      if (date >= start) dates.push(date);
+    }
+  } else {
+    const step = 7 * Math.max(1, Number(rule.interval) || 1);
+    for (let date = addDays(start, (rule.weekday - parseDateStr(start).getDay() + 7) % 7); date <= end; date = addDays(date, step)) {
+      if (!rule.homeGamesOnly || homeDates.has(date)) dates.push(date);
+    }
+  }
+
+  return dates.filter(date => !skipped.has(date));
+};
+
+// Stored items with every series master replaced by its occurrences. Each
+// occurrence carries the master's fields, an id of "<masterId>@<date>",
+// `masterId` and `occurrenceDate`.
+export const expandRecurrences = (items) => {
+  if (!items.some(item => item.recurrence)) return items;
+  const homeDates = homeGameDates(items);
+  return items.flatMap(item => {
+    if (!item.recurrence) return [item];
+    return recurrenceDates(item.recurrence, item.date, { exdates: item.exdates, homeDates })
+      .map(date => ({ ...item, id: occurrenceId(item.id, date), ...movedDates(item, date), masterId: item.id, occurrenceDate: date }));
+  });
+};
+
+// Item fields of an occurrence or form, without the series bookkeeping
+const itemData = ({ id, masterId, occurrenceDate, recurrence, exdates, ...data }) => data;
+
+// Rewrites what pointed at occurrences of `master` from `from` on (child
+// items' parentId, detached occurrences) to `targetId`'s occurrences, shifted
+// by `shift` days
+const repointOccurrences = (items, master, from, targetId, shift) => {
+  const updates = [];
+  items.forEach(item => {
+    const parent = parseOccurrenceId(item.parentId);
+    if (parent && parent.masterId === master.id && parent.date >= from) {
+      updates.push({ id: item.id, data: { parentId: occurrenceId(targetId, addDays(parent.date, shift)) } });
+    } else if (item.recurrenceOf === master.id && item.occurrenceDate >= from && (targetId !== master.id || shift)) {
+      updates.push({ id: item.id, data: { recurrenceOf: targetId, occurrenceDate: addDays(item.occurrenceDate, shift) } });
+    }
+  });
+  return updates;
+};
+
+// Clears parentId on children of the deleted occurrences of `master` (those
+// on a date matching `isDeleted`) and of the deleted items `deletedIds`
+const unlinkChildren = (items, master, isDeleted, deletedIds) =>
+  items
+    .filter(item => {
+      const parent = parseOccurrenceId(item.parentId);
+      return (parent && parent.masterId === master.id && isDeleted(parent.date)) || deletedIds.includes(item.parentId);
+    })
+    .filter(item => !deletedIds.includes(item.id))
+    .map(item => ({ id: item.id, data: { parentId: null } }));
+
+// True when no occurrence of `master` remains before dateStr
+const isFirstOccurrence = (master, dateStr, items) =>
+  !recurrenceDates(master.recurrence, master.date, { exdates: master.exdates, homeDates: homeGameDates(items) })
+    .some(date => date < dateStr);
+
+// Writes for editing one occurrence of `master`: `changes` are the fields to
+// set (every field when the role may edit them all) and `newId` the id for an
+// item the edit splits off. Returns { updates: [{ id, data }], creates: [{ id, data }] }.
+export const planOccurrenceEdit = ({ master, occurrence, scope, changes, items, newId }) => {
+  const from = occurrence.occurrenceDate;
+  const date = changes.date || occurrence.date;
+  const shift = daysBetween(from, date);
+  const exdates = master.exdates || [];
+
+  if (scope === 'this') {
+    return {
+      updates: [
+        { id: master.id, data: { exdates: [...new Set([...exdates, from])].sort() } },
+        ...items.filter(item => item.parentId === occurrence.id).map(item => ({ id: item.id, data: { parentId: newId } }))
+      ],
+      creates: [{ id: newId, data: { ...itemData(occurrence), ...itemData(changes), recurrence: null, recurrenceOf: master.id, occurrenceDate: from } }]
+    };
+  }
+
+  if (scope === 'following' && !isFirstOccurrence(master, from, items)) {
+    const rule = 'recurrence' in changes ? changes.recurrence : master.recurrence;
+    return {
+      updates: [
+        {
+          id: master.id,
+          data: { recurrence: { ...master.recurrence, until: addDays(from, -1) }, exdates: exdates.filter(d => d < from) }
+        },
+        ...repointOccurrences(items, master, from, newId, shift)
+      ],
+      creates: [{
+        id: newId,
+        data: {
+          ...itemData(master),
+          ...itemData(changes),
+          date,
+          recurrence: anchorRecurrence(rule, date),
+          exdates: exdates.filter(d => d >= from).map(d => addDays(d, shift))
+        }
+      }]
+    };
+  }
+
+  // All occurrences: the series start moves by as many days as this occurrence did
+  const data = itemData(changes);
+  if (shift) {
+    data.date = addDays(master.date, shift);
+    data.exdates = exdates.map(d => addDays(d, shift));
+  } else {
+    delete data.date;
+  }
+  // A multi-day occurrence's end date is relative to the occurrence
+  if (data.endDate) data.endDate = addDays(data.endDate, daysBetween(date, data.date || master.date));
+  if ('recurrence' in changes) data.recurrence = anchorRecurrence(changes.recurrence, data.date || master.date);
+  return {
+    updates: [{ id: master.id, data }, ...(shift ? repointOccurrences(items, master, master.date, master.id, shift) : [])],
+    creates: []
+  };
+};
+
+// Writes for deleting one occurrence of `master`. Returns
+// { updates: [{ id, data }], deletes: [id] }; deleting every occurrence also
+// deletes the ones that were edited on their own.
+export const planOccurrenceDelete = ({ master, occurrence, scope, items }) => {
+  const from = occurrence.occurrenceDate;
+  const exdates = master.exdates || [];
+
+  if (scope === 'this') {
+    return {
+      updates: [
+        { id: master.id, data: { exdates: [...new Set([...exdates, from])].sort() } },
+        ...unlinkChildren(items, master, date => date === from, [])
+      ],
+      deletes: []
+    };
+  }
+
+  const detached = items.filter(item => item.recurrenceOf === master.id);
+  if (scope === 'following' && !isFirstOccurrence(master, from, items)) {
+    const deletes = detached.filter(item => item.occurrenceDate >= from).map(item => item.id);
+    return {
+      updates: [
+        {
+          id: master.id,
+          data: { recurrence: { ...master.recurrence, until: addDays(from, -1) }, exdates: exdates.filter(d => d < from) }
+        },
+        ...unlinkChildren(items, master, date => date >= from, deletes)
+      ],
+      deletes
+    };
+  }
+
+  const deletes = [master.id, ...detached.map(item => item.id)];
+  return { updates: unlinkChildren(items, master, () => true, deletes), deletes };
+};
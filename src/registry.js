@@ -0,0 +1,62 @@
+// Item type and day theme registry. Stored in Firestore as settings/itemTypes
+// and settings/dayThemes ({ entries: [...] }); the defaults below apply until
+// an admin saves their own from Settings.
+
+export const DEFAULT_ITEM_TYPES = [
+  { value: 'home', label: 'HOME', color: '#ba0021', textColor: '#ffffff', emoji: '🏟️', sortOrder: 1 },
+  { value: 'away', label: 'AWAY', color: '#666666', textColor: '#ffffff', emoji: '✈️', sortOrder: 2 },
+  { value: 'game', label: 'GAME', color: '#ba0021', textColor: '#ffffff', emoji: '⚾', sortOrder: 3 },
+  { value: 'outofoffice', label: 'OUT OF OFFICE', color: '#f97316', textColor: '#ffffff', emoji: '🌴', sortOrder: 4 },
+  { value: 'content', label: 'CONTENT', color: '#eab308', textColor: '#18181b', emoji: '📝', sortOrder: 5 },
+  { value: 'event', label: 'EVENT', color: '#003263', textColor: '#ffffff', emoji: '🎟️', sortOrder: 6 },
+  { value: 'promo', label: 'PROMO', color: '#6b21a8', textColor: '#ffffff', emoji: '🎁', sortOrder: 7 },
+  { value: 'sponsored', label: 'SPONSORED', color: '#0891b2', textColor: '#ffffff', emoji: '💼', sortOrder: 8 },
+  { value: 'birthday', label: 'BIRTHDAY', color: '#ec4899', textColor: '#ffffff', emoji: '🎂', sortOrder: 9 }
+];
+
+// Type keys the code itself relies on (games, parents, protected types in
+// firestore.rules, importers, the template fallback); these can be restyled
+// and relabeled but not removed
+export const CORE_ITEM_TYPES = ['home', 'away', 'game', 'event', 'promo', 'sponsored', 'content'];
+
+export const DEFAULT_DAY_THEMES = [
+  { value: 'birthday', label: 'Birthday', color: '#ec4899', textColor: '#ffffff', emoji: '🎂', sortOrder: 1 },
+  { value: 'cityconnect', label: 'City Connect', color: '#38bdf8', textColor: '#18181b', emoji: '🏝️', sortOrder: 2 },
+  { value: 'holiday', label: 'Holiday', color: '#16a34a', textColor: '#ffffff', emoji: '🎉', sortOrder: 3 },
+  { value: 'special', label: 'Special Event', color: '#eab308', textColor: '#18181b', emoji: '⭐', sortOrder: 4 }
+];
+
+// Settings doc IDs for each registry
+export const REGISTRY_DOCS = {
+  itemTypes: 'itemTypes',
+  dayThemes: 'dayThemes'
+};
+
+const FALLBACK_STYLE = { color: '#6b7280', textColor: '#ffffff' };
+
+export const sortByOrder = (entries) =>
+  [...entries].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+
+export const findEntry = (entries, value) => entries.find(e => e.value === value);
+
+// Inline style for an item chip / badge of the given type
+export const entryStyle = (entries, value) => {
+  const entry = findEntry(entries, value) || FALLBACK_STYLE;
+  return { backgroundColor: entry.color, color: entry.textColor };
+};
+
+export const entryLabel = (entries, value) =>
+  findEntry(entries, value)?.label || String(value || '').toUpperCase();
+
+// "Star Wars Night" -> "starwarsnight"
+export const registryKey = (label) =>
+  String(label || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const emptyEntry = (entries) => ({
+  value: '',
+  label: '',
+  color: '#666666',
+  textColor: '#ffffff',
+  emoji: '',
+  sortOrder: entries.reduce((max, e) => Math.max(max, e.sortOrder ?? 0), 0) + 1
+});
@@ -0,0 +1,26 @@
+// Drag-and-drop rescheduling in the month and week views.
+import { movedDates } from './spans.js';
+import { isGameItem } from './gameFields.js';
+
+// Optimistic changes layered over the Firestore snapshot until their writes
+// settle: { key, id, date, endDate? } moves an existing item, { key, item }
+// adds a copy. Affected items carry `pending: true` so the views can dim them.
+export const applyPending = (items, pending) => {
+  if (pending.length === 0) return items;
+  const moves = new Map(pending.filter(p => p.id).map(({ id, date, endDate }) => [id, endDate ? { date, endDate } : { date }]));
+  return [
+    ...items.map(item => (moves.has(item.id) ? { ...item, ...moves.get(item.id), pending: true } : item)),
+    ...pending.filter(p => p.item).map(p => ({ ...p.item, id: p.key, pending: true }))
+  ];
+};
+
+// Fields for a copy of `item` on `date`, without its id, audit stamps, tie
+// to a recurring series or reschedule history. The copy starts over as planned
+// work; a copied game is scheduled and numbered after the games already in
+// `items` on that date.
+export const duplicateFields = (item, date, items = []) => {
+  const { id, pending, createdBy, createdAt, updatedBy, updatedAt, recurrenceOf, occurrenceDate, original, gameState, gameNumber, ...fields } = item;
+  const copy = { ...fields, ...movedDates(item, date), status: 'planned' };
+  if (!isGameItem(item)) return copy;
+  return { ...copy, gameNumber: items.filter(other => isGameItem(other) && other.date === date).length + 1 };
+};
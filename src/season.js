@@ -0,0 +1,120 @@
+// Season structure derived from the game items: series, homestands and road
+// trips, plus per-day promo/event density for the season view.
+//
+// Ranges are { id, kind, homeAway, from, to, games, label }. Their ids are
+// built from the first game date, so planning items attached through
+// item.seriesId stay attached as long as that series keeps its opening day.
+import { isGameItem, parseGameTitle, buildGameTitle } from './gameFields.js';
+import { daysBetween } from './dates.js';
+
+// Item types counted by the season view's density dots
+export const DENSITY_TYPES = ['promo', 'event'];
+
+// Two games against the same opponent more than this many days apart (an
+// All-Star break, say) belong to separate series
+export const SERIES_MAX_GAP_DAYS = 2;
+
+export const RANGE_KIND_LABELS = {
+  series: 'SERIES',
+  homestand: 'HOMESTAND',
+  roadtrip: 'ROAD TRIP'
+};
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const gameHomeAway = (game) => game.homeAway || (game.type === 'away' ? 'away' : 'home');
+
+const gameOpponent = (game) => (game.opponent || parseGameTitle(game.title).opponent || '').trim();
+
+const sortedGames = (items) => items
+  .filter(isGameItem)
+  .sort((a, b) => a.date.localeCompare(b.date) || (a.gameNumber || 1) - (b.gameNumber || 1));
+
+// Series: consecutive games against the same opponent at the same park
+export const detectSeries = (items) => {
+  const series = [];
+  sortedGames(items).forEach(game => {
+    const homeAway = gameHomeAway(game);
+    const opponent = gameOpponent(game);
+    const current = series[series.length - 1];
+    if (current && current.homeAway === homeAway && current.opponent.toLowerCase() === opponent.toLowerCase()
+      && daysBetween(current.to, game.date) <= SERIES_MAX_GAP_DAYS) {
+      current.to = game.date;
+      current.games.push(game);
+      return;
+    }
+    series.push({
+      id: `series-${game.date}-${slug(opponent) || homeAway}`,
+      kind: 'series',
+      homeAway,
+      opponent,
+      from: game.date,
+      to: game.date,
+      games: [game],
+      label: opponent ? buildGameTitle(homeAway, opponent) : RANGE_KIND_LABELS.series
+    });
+  });
+  return series;
+};
+
+// Homestands and road trips: runs of consecutive games at home or away. Off
+// days between two games of the same run belong to it; travel days between
+// runs belong to neither.
+export const homeAwayStretches = (items) => {
+  const stretches = [];
+  sortedGames(items).forEach(game => {
+    const homeAway = gameHomeAway(game);
+    const current = stretches[stretches.length - 1];
+    if (current && current.homeAway === homeAway) {
+      current.to = game.date;
+      current.games.push(game);
+    } else {
+      const kind = homeAway === 'away' ? 'roadtrip' : 'homestand';
+      stretches.push({ id: `${kind}-${game.date}`, kind, homeAway, from: game.date, to: game.date, games: [game] });
+    }
+  });
+
+  return stretches.map(stretch => {
+    const opponents = [...new Set(stretch.games.map(gameOpponent).filter(Boolean))];
+    return { ...stretch, label: `${RANGE_KIND_LABELS[stretch.kind]}${opponents.length ? ` (${opponents.join(', ')})` : ''}` };
+  });
+};
+
+// Every series, homestand and road trip, in date order
+export const scheduleRanges = (items) =>
+  [...detectSeries(items), ...homeAwayStretches(items)]
+    .sort((a, b) => a.from.localeCompare(b.from) || (a.kind === 'series' ? 1 : -1));
+
+// The stretch covering a YYYY-MM-DD date, or null
+export const stretchForDate = (stretches, dateStr) =>
+  stretches.find(s => s.from <= dateStr && dateStr <= s.to) || null;
+
+// Ranges covering a YYYY-MM-DD date
+export const rangesForDate = (ranges, dateStr) =>
+  ranges.filter(range => range.from <= dateStr && dateStr <= range.to);
+
+// "Game 2 of 3" for a series, "Day 4 of 7" for a homestand or road trip
+export const rangeProgress = (range, dateStr) => {
+  if (range.kind === 'series') {
+    const index = range.games.findIndex(game => game.date === dateStr);
+    return index === -1 ? 'Off day' : `Game ${index + 1} of ${range.games.length}`;
+  }
+  return `Day ${daysBetween(range.from, dateStr) + 1} of ${daysBetween(range.from, range.to) + 1}`;
+};
+
+// Planning items attached to a range
+export const attachedItems = (items, rangeId) =>
+  items.filter(item => item.seriesId === rangeId);
+
+// Map of date -> { promo: n, event: n } for the DENSITY_TYPES items on each date
+export const densityByDate = (items) => {
+  const density = new Map();
+  items
+    .filter(item => DENSITY_TYPES.includes(item.type))
+    .forEach(item => {
+      const counts = density.get(item.date) || Object.fromEntries(DENSITY_TYPES.map(type => [type, 0]));
+      counts[item.type] += 1;
+      density.set(item.date, counts);
+    });
+  return density;
+};
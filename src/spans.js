@@ -0,0 +1,34 @@
+// Multi-day items: `date` is the first day and `endDate` the last (inclusive).
+// Items without an endDate, and every game, cover their one date.
+import { addDays, daysBetween } from './dates.js';
+
+export const itemEndDate = (item) => item.endDate || item.date;
+
+export const isMultiDay = (item) => Boolean(item.endDate) && item.endDate > item.date;
+
+export const coversDate = (item, dateStr) => item.date <= dateStr && dateStr <= itemEndDate(item);
+
+export const spanDays = (item) => daysBetween(item.date, itemEndDate(item)) + 1;
+
+// { date } for an item moved to start on `date`, plus its endDate shifted by
+// the same number of days when it has one
+export const movedDates = (item, date) =>
+  item.endDate ? { date, endDate: addDays(item.endDate, daysBetween(item.date, date)) } : { date };
+
+// Row each multi-day item's bar takes in the month and week grids, so a bar
+// stays on one line in every cell it crosses: Map of id -> lane, first-fit in
+// start order with longer items first
+export const spanLanes = (items) => {
+  const laneEnds = [];
+  const lanes = new Map();
+  items
+    .filter(isMultiDay)
+    .sort((a, b) => a.date.localeCompare(b.date) || spanDays(b) - spanDays(a) || a.title.localeCompare(b.title))
+    .forEach(item => {
+      let lane = laneEnds.findIndex(end => end < item.date);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.endDate;
+      lanes.set(item.id, lane);
+    });
+  return lanes;
+};
@@ -0,0 +1,81 @@
+// Content templates: named checklists of child items (a game-day package, say)
+// stored in the templates collection as
+//   { name, items: [{ title, type, assignees, dayOffset, notes }] }
+// and applied to one or more parent items in a single batch.
+import { addDays } from './dates.js';
+import { isGameItem } from './gameFields.js';
+import { childrenOf, canHaveParent } from './linkedItems.js';
+
+export const TEMPLATES_COLLECTION = 'templates';
+
+// Titles may name the parent: "{title} recap" -> "vs HOU recap",
+// "Series preview: {opponent}" -> "Series preview: HOU"
+export const TEMPLATE_TOKENS = ['{title}', '{opponent}'];
+
+export const emptyTemplateItem = () => ({ title: '', type: 'content', assignees: [], dayOffset: 0, notes: '' });
+
+export const emptyTemplate = () => ({ name: '', items: [emptyTemplateItem()] });
+
+export const sortTemplates = (templates) =>
+  [...templates].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+export const fillTemplateTitle = (title, parent) =>
+  title
+    .replace(/\{title\}/g, parent.title || '')
+    .replace(/\{opponent\}/g, parent.opponent || parent.title || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// What a template can be applied to
+export const TEMPLATE_TARGETS = [
+  { value: 'item', label: 'THIS ITEM' },
+  { value: 'series', label: 'THIS SERIES' },
+  { value: 'range', label: 'HOME GAMES IN RANGE' }
+];
+
+// Parent items for a target: the item itself, every game of its series, or
+// every home game from..to
+export const templateTargets = (items, target, { item, series, from, to }) => {
+  if (target === 'item') return item ? [item] : [];
+  if (target === 'series') return series ? series.games : [];
+  if (!from || !to) return [];
+  return items
+    .filter(i => isGameItem(i) && i.homeAway === 'home' && i.date >= from && i.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Template items of a parent type (game, event, promo) are created as content,
+// so links stay one level deep
+const childType = (type) => (type && canHaveParent({ type }) ? type : 'content');
+
+// New items for each parent, linked through parentId and dated dayOffset days
+// from it. A template item whose title a parent already has among its
+// children is skipped, so applying a template twice adds nothing.
+export const expandTemplate = (template, parents, existing) => {
+  const items = [];
+  let skipped = 0;
+  parents.forEach(parent => {
+    const taken = new Set(childrenOf(existing, parent.id).map(child => child.title.trim().toLowerCase()));
+    (template.items || []).forEach(entry => {
+      const title = fillTemplateTitle(entry.title, parent);
+      if (!title) return;
+      if (taken.has(title.toLowerCase())) {
+        skipped += 1;
+        return;
+      }
+      items.push({
+        date: addDays(parent.date, Number(entry.dayOffset) || 0),
+        type: childType(entry.type),
+        title,
+        assignees: entry.assignees || [],
+        status: 'planned',
+        notes: entry.notes || '',
+        links: '',
+        themes: [],
+        parentId: parent.id,
+        templateId: template.id
+      });
+    });
+  });
+  return { items, skipped };
+};
@@ -0,0 +1,128 @@
+// Venue time zones and conversions between a venue's wall-clock time and the
+// Pacific time the front office works in.
+
+export const PACIFIC_TIME_ZONE = 'America/Los_Angeles';
+
+export const VENUE_TIME_ZONES = {
+  // Cactus League (Arizona does not observe daylight saving time)
+  'Tempe Diablo Field': 'America/Phoenix',
+  'Salt River Fields at Talking Stick': 'America/Phoenix',
+  'Peoria Sports Complex': 'America/Phoenix',
+  'Goodyear Ballpark': 'America/Phoenix',
+  'Camelback Ranch': 'America/Phoenix',
+  'Hohokam Stadium': 'America/Phoenix',
+  'Surprise Stadium': 'America/Phoenix',
+  'Scottsdale Stadium': 'America/Phoenix',
+  'Sloan Park': 'America/Phoenix',
+  'American Family Fields of Phoenix': 'America/Phoenix',
+
+  // Pacific
+  'Angel Stadium': 'America/Los_Angeles',
+  'Dodger Stadium': 'America/Los_Angeles',
+  'Petco Park': 'America/Los_Angeles',
+  'Oracle Park': 'America/Los_Angeles',
+  'Oakland Coliseum': 'America/Los_Angeles',
+  'Sutter Health Park': 'America/Los_Angeles',
+  'T-Mobile Park': 'America/Los_Angeles',
+
+  // Mountain
+  'Chase Field': 'America/Phoenix',
+  'Coors Field': 'America/Denver',
+
+  // Central
+  'Minute Maid Park': 'America/Chicago',
+  'Daikin Park': 'America/Chicago',
+  'Globe Life Field': 'America/Chicago',
+  'Wrigley Field': 'America/Chicago',
+  'Guaranteed Rate Field': 'America/Chicago',
+  'Rate Field': 'America/Chicago',
+  'Target Field': 'America/Chicago',
+  'Kauffman Stadium': 'America/Chicago',
+  'Busch Stadium': 'America/Chicago',
+  'American Family Field': 'America/Chicago',
+
+  // Eastern
+  'Yankee Stadium': 'America/New_York',
+  'Citi Field': 'America/New_York',
+  'Fenway Park': 'America/New_York',
+  'Camden Yards': 'America/New_York',
+  'Nationals Park': 'America/New_York',
+  'Citizens Bank Park': 'America/New_York',
+  'PNC Park': 'America/New_York',
+  'Progressive Field': 'America/New_York',
+  'Great American Ball Park': 'America/New_York',
+  'Truist Park': 'America/New_York',
+  'loanDepot Park': 'America/New_York',
+  'Tropicana Field': 'America/New_York',
+  'George M. Steinbrenner Field': 'America/New_York',
+  'Comerica Park': 'America/Detroit',
+  'Rogers Centre': 'America/Toronto'
+};
+
+export const TIME_ZONE_OPTIONS = [
+  { value: 'America/Los_Angeles', label: 'Pacific' },
+  { value: 'America/Phoenix', label: 'Arizona' },
+  { value: 'America/Denver', label: 'Mountain' },
+  { value: 'America/Chicago', label: 'Central' },
+  { value: 'America/New_York', label: 'Eastern' },
+  { value: 'America/Detroit', label: 'Eastern (Detroit)' },
+  { value: 'America/Toronto', label: 'Eastern (Toronto)' }
+];
+
+export const venueTimeZone = (venue) => VENUE_TIME_ZONES[String(venue || '').trim()] || null;
+
+// Known venue named in a free-form location ("Angel Stadium, Anaheim, CA"),
+// preferring the longest match; null when none is found
+export const matchVenue = (location) => {
+  const value = String(location || '').toLowerCase();
+  return Object.keys(VENUE_TIME_ZONES)
+    .filter(venue => value.includes(venue.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0] || null;
+};
+
+const partsInZone = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+// Minutes to add to UTC to get wall-clock time in the zone at that instant
+const zoneOffsetMinutes = (instant, timeZone) => {
+  const { date, time } = partsInZone(instant, timeZone);
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  return (Date.UTC(y, mo - 1, d, h, mi) - Math.floor(instant.getTime() / 60000) * 60000) / 60000;
+};
+
+// "2026-04-11" + "13:05" in America/New_York -> Date (the absolute instant)
+export const zonedTimeToDate = (dateStr, startTime, timeZone) => {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  const [h, mi] = startTime.split(':').map(Number);
+  const wallClock = Date.UTC(y, mo - 1, d, h, mi);
+  let offset = zoneOffsetMinutes(new Date(wallClock), timeZone);
+  // Re-check once so times near a DST switch land on the right side of it
+  offset = zoneOffsetMinutes(new Date(wallClock - offset * 60000), timeZone);
+  return new Date(wallClock - offset * 60000);
+};
+
+// Converts a wall-clock date/time from one zone to another: { date, time }
+export const convertZonedTime = (dateStr, startTime, fromZone, toZone) =>
+  partsInZone(zonedTimeToDate(dateStr, startTime, fromZone), toZone);
+
+// "PDT", "CDT", "MST" ...
+export const zoneAbbreviation = (dateStr, startTime, timeZone) => {
+  const instant = zonedTimeToDate(dateStr, startTime, timeZone);
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(instant);
+  return parts.find(p => p.type === 'timeZoneName')?.value || '';
+};
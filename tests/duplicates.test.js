@@ -0,0 +1,25 @@
+// Duplicate detection in src/duplicates.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicateGroups } from '../src/duplicates.js';
+
+const item = (id, fields = {}) => ({ id, date: '2026-04-04', type: 'event', title: 'Fireworks Night', ...fields });
+
+describe('findDuplicateGroups', () => {
+  test('groups items with the same date, type, title and game number', () => {
+    const groups = findDuplicateGroups([item('a'), item('b'), item('c', { date: '2026-04-05' })]);
+    assert.deepEqual(groups.map(group => group.map(i => i.id)), [['a', 'b']]);
+  });
+
+  test('keeps a series master apart from its detached first occurrence', () => {
+    const master = item('m', { recurrence: { freq: 'weekly', interval: 1, weekday: 6, until: null }, exdates: ['2026-04-04'] });
+    const detached = item('d', { recurrenceOf: 'm', occurrenceDate: '2026-04-04', notes: 'drone show' });
+    assert.deepEqual(findDuplicateGroups([master, detached]), []);
+  });
+
+  test('still groups copies of the same detached occurrence', () => {
+    const copy = (id) => item(id, { recurrenceOf: 'm', occurrenceDate: '2026-04-04' });
+    const groups = findDuplicateGroups([item('m'), copy('d1'), copy('d2')]);
+    assert.deepEqual(groups.map(group => group.map(i => i.id)), [['d1', 'd2']]);
+  });
+});
@@ -0,0 +1,150 @@
+// firestore.rules against the role matrix in src/permissions.js: every role
+// creating, editing and deleting every item type in the default registry.
+// Runs against the Firestore emulator: npm test
+import { before, after, beforeEach, describe, test } from 'node:test';
+import fs from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { ROLES, canCreate, canDelete, editableFields } from '../src/permissions.js';
+import { DEFAULT_ITEM_TYPES } from '../src/registry.js';
+
+const TYPES = DEFAULT_ITEM_TYPES.map(entry => entry.value);
+
+// Each role signs in with its own name as uid
+const stamp = (uid) => ({ uid, name: uid, email: null });
+
+const itemData = (type, uid) => ({
+  date: '2026-04-03',
+  type,
+  title: `${type} item`,
+  status: 'planned',
+  notes: '',
+  createdBy: stamp(uid),
+  updatedBy: stamp(uid)
+});
+
+// Existing item of each type, created by someone else
+const itemId = (type) => `existing-${type}`;
+
+let testEnv;
+
+const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const expectWrite = (allowed, write) => (allowed ? assertSucceeds(write) : assertFails(write));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-angels-calendar-2026',
+    firestore: { rules: fs.readFileSync('firestore.rules', 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const role of ROLES) {
+      await setDoc(doc(db, 'users', role), { role, name: role, email: null });
+    }
+    for (const type of TYPES) {
+      await setDoc(doc(db, 'calendarItems', itemId(type)), itemData(type, 'owner'));
+    }
+  });
+});
+
+for (const role of ROLES) {
+  describe(role, () => {
+    for (const type of TYPES) {
+      const existing = { type };
+
+      test(`${canCreate(role, type) ? 'can' : 'cannot'} create ${type}`, async () => {
+        await expectWrite(canCreate(role, type), setDoc(doc(dbFor(role), 'calendarItems', `new-${type}`), itemData(type, role)));
+      });
+
+      test(`${editableFields(role, existing) === 'all' ? 'can' : 'cannot'} edit every field of ${type}`, async () => {
+        await expectWrite(
+          editableFields(role, existing) === 'all',
+          updateDoc(doc(dbFor(role), 'calendarItems', itemId(type)), { title: 'Renamed', date: '2026-04-04', updatedBy: stamp(role) })
+        );
+      });
+
+      test(`${editableFields(role, existing) ? 'can' : 'cannot'} edit the working fields of ${type}`, async () => {
+        await expectWrite(
+          editableFields(role, existing) !== null,
+          updateDoc(doc(dbFor(role), 'calendarItems', itemId(type)), {
+            status: 'completed',
+            assignees: ['dan'],
+            notes: 'Shot list ready',
+            updatedBy: stamp(role)
+          })
+        );
+      });
+
+      test(`${canDelete(role, existing) ? 'can' : 'cannot'} delete ${type}`, async () => {
+        await expectWrite(canDelete(role, existing), deleteDoc(doc(dbFor(role), 'calendarItems', itemId(type))));
+      });
+    }
+  });
+}
+
+describe('calendarItems', () => {
+  test('signed-in users can read, signed-out users cannot', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('viewer'), 'calendarItems', itemId('game'))));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'calendarItems', itemId('game'))));
+  });
+
+  test('a create must be stamped with the signed-in user as creator', async () => {
+    const data = { ...itemData('content', 'admin'), createdBy: stamp('owner') };
+    await assertFails(setDoc(doc(dbFor('admin'), 'calendarItems', 'new-content'), data));
+  });
+
+  test('an update must be stamped with the signed-in user', async () => {
+    await assertFails(updateDoc(doc(dbFor('editor'), 'calendarItems', itemId('content')), { title: 'Renamed' }));
+    await assertFails(updateDoc(doc(dbFor('editor'), 'calendarItems', itemId('content')), {
+      title: 'Renamed',
+      updatedBy: stamp('owner')
+    }));
+  });
+
+  test('contributors cannot turn a content item into a protected type', async () => {
+    await assertFails(updateDoc(doc(dbFor('contributor'), 'calendarItems', itemId('content')), {
+      type: 'promo',
+      updatedBy: stamp('contributor')
+    }));
+  });
+
+  test('contributors cannot change a protected item\'s type along with its working fields', async () => {
+    await assertFails(updateDoc(doc(dbFor('contributor'), 'calendarItems', itemId('promo')), {
+      type: 'content',
+      status: 'completed',
+      updatedBy: stamp('contributor')
+    }));
+  });
+});
+
+describe('users', () => {
+  test('a new user registers themselves as a viewer only', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('newcomer'), 'users', 'newcomer'), { role: 'viewer', name: 'newcomer' }));
+    await assertFails(setDoc(doc(dbFor('intruder'), 'users', 'intruder'), { role: 'admin', name: 'intruder' }));
+  });
+
+  test('only admins change roles', async () => {
+    await assertFails(updateDoc(doc(dbFor('editor'), 'users', 'editor'), { role: 'admin' }));
+    await assertSucceeds(updateDoc(doc(dbFor('editor'), 'users', 'editor'), { name: 'Ed' }));
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), 'users', 'viewer'), { role: 'contributor' }));
+  });
+});
+
+for (const collection of ['members', 'settings', 'templates']) {
+  describe(collection, () => {
+    for (const role of ROLES) {
+      test(`${role === 'admin' ? 'admins can' : `${role}s cannot`} write`, async () => {
+        await expectWrite(role === 'admin', setDoc(doc(dbFor(role), collection, 'doc'), { name: 'Test' }));
+      });
+    }
+  });
+}